@@ -0,0 +1,6 @@
+-- Index documents by their source so each knowledge base source can be
+-- tracked, re-indexed and removed independently
+create index documents_source_idx on documents ((metadata->>'source'));
+
+-- Speed up per-source resume lookups ordered by chunk index
+create index documents_source_chunk_idx on documents ((metadata->>'source'), ((metadata->>'chunkIndex')::int));
@@ -0,0 +1,23 @@
+-- Conversation threads, one row per chat started in the browser
+-- client_id is an anonymous identifier the browser keeps in localStorage
+create table conversations (
+  id uuid primary key default gen_random_uuid(),
+  client_id text not null,
+  title text not null default 'New chat',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index conversations_client_idx on conversations (client_id, updated_at desc);
+
+-- Messages within a thread, in the order they were sent
+create table conversation_messages (
+  id bigserial primary key,
+  conversation_id uuid not null references conversations (id) on delete cascade,
+  role text not null check (role in ('human', 'ai')),
+  content text not null,
+  sources jsonb not null default '[]',
+  created_at timestamptz not null default now()
+);
+
+create index conversation_messages_conversation_idx on conversation_messages (conversation_id, id);
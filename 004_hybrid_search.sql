@@ -0,0 +1,46 @@
+-- Full-text search over document chunks, used alongside match_documents for
+-- hybrid retrieval so exact terms like "Townhall" or "#code-help" are found
+alter table documents
+  add column fts tsvector generated always as (to_tsvector('english', coalesce(content, ''))) stored;
+
+create index documents_fts_idx on documents using gin (fts);
+
+-- Keyword search companion to match_documents
+-- Any query term may match (terms are OR'ed); rows are ranked by ts_rank_cd and
+-- also return their vector similarity so results from both searches can be compared
+create function keyword_match_documents (
+  query_text text,
+  query_embedding vector(1536),
+  match_count int DEFAULT null,
+  filter jsonb DEFAULT '{}'
+) returns table (
+  id bigint,
+  content text,
+  metadata jsonb,
+  similarity float,
+  rank float
+)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  ts_query tsquery := to_tsquery('english', nullif(replace(plainto_tsquery('english', query_text)::text, '&', '|'), ''));
+begin
+  if ts_query is null then
+    return;
+  end if;
+
+  return query
+  select
+    id,
+    content,
+    metadata,
+    1 - (documents.embedding <=> query_embedding) as similarity,
+    ts_rank_cd(documents.fts, ts_query)::float as rank
+  from documents
+  where metadata @> filter
+    and documents.fts @@ ts_query
+  order by rank desc
+  limit match_count;
+end;
+$$;
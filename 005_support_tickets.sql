@@ -0,0 +1,18 @@
+-- Support tickets raised from the chat when the bot could not answer
+-- transcript holds the thread's messages and chunks the sources retrieved
+-- for the unanswered turn, so whoever picks the ticket up has the full context
+create table support_tickets (
+  id uuid primary key default gen_random_uuid(),
+  client_id text not null,
+  conversation_id uuid references conversations (id) on delete set null,
+  email text not null,
+  note text,
+  reason text not null check (reason in ('no_context', 'unanswered', 'low_confidence')),
+  status text not null default 'open' check (status in ('open', 'in_progress', 'resolved', 'closed')),
+  transcript jsonb not null default '[]',
+  chunks jsonb not null default '[]',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index support_tickets_client_idx on support_tickets (client_id, created_at desc);
@@ -0,0 +1,39 @@
+-- Keep the rephrased question ChatManager retrieved with alongside each answer
+alter table conversation_messages add column standalone_question text;
+
+-- Thumbs up/down on answers, one row per answer (a second vote replaces the first)
+-- The question, standalone question, retrieved chunks and answer are copied in
+-- so the feedback still makes sense after the thread is deleted or re-indexed
+create table answer_feedback (
+  id bigserial primary key,
+  message_id bigint unique references conversation_messages (id) on delete set null,
+  client_id text not null,
+  rating smallint not null check (rating in (-1, 1)),
+  comment text,
+  question text not null,
+  standalone_question text,
+  chunks jsonb not null default '[]',
+  answer text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index answer_feedback_rating_idx on answer_feedback (rating, created_at desc);
+
+-- Negative feedback grouped by the chunk each downvoted answer was built from,
+-- worst first, to show which parts of the knowledge base need rewriting
+create view negative_feedback_by_chunk as
+select
+  chunk->>'id' as chunk_id,
+  chunk->>'source' as source,
+  (chunk->>'chunkIndex')::int as chunk_index,
+  count(*) as negative_count,
+  avg((chunk->>'similarity')::float) as avg_similarity,
+  array_agg(f.question order by f.created_at desc) as questions,
+  array_remove(array_agg(f.comment order by f.created_at desc), null) as comments,
+  max(f.created_at) as last_reported_at
+from answer_feedback f
+cross join jsonb_array_elements(f.chunks) as chunk
+where f.rating = -1
+group by 1, 2, 3
+order by negative_count desc, last_reported_at desc;
@@ -0,0 +1,12 @@
+-- Several knowledge bases share the documents table: each chunk carries the id
+-- of the knowledge base it belongs to in metadata.knowledgeBase, and retrieval
+-- scopes itself through the filter argument of match_documents and
+-- keyword_match_documents (metadata @> filter)
+create index documents_knowledge_base_idx on documents ((metadata->>'knowledgeBase'));
+
+-- Threads belong to the knowledge base they were started with; existing ones
+-- were all started with the original Scrimba bot
+alter table conversations add column knowledge_base text not null default 'scrimba';
+
+drop index conversations_client_idx;
+create index conversations_client_idx on conversations (client_id, knowledge_base, updated_at desc);
@@ -0,0 +1,22 @@
+-- Re-indexing renumbers chunks, so source#chunkIndex can point at different text
+-- than the answer was built from. Feedback now also records each chunk's
+-- contentHash, and the view groups downvotes by it; rows saved before that
+-- have no hash and keep being grouped by chunk id
+drop view negative_feedback_by_chunk;
+
+create view negative_feedback_by_chunk as
+select
+  (array_agg(chunk->>'id' order by f.created_at desc))[1] as chunk_id,
+  chunk->>'source' as source,
+  (array_agg((chunk->>'chunkIndex')::int order by f.created_at desc))[1] as chunk_index,
+  chunk->>'contentHash' as content_hash,
+  count(*) as negative_count,
+  avg((chunk->>'similarity')::float) as avg_similarity,
+  array_agg(f.question order by f.created_at desc) as questions,
+  array_remove(array_agg(f.comment order by f.created_at desc), null) as comments,
+  max(f.created_at) as last_reported_at
+from answer_feedback f
+cross join jsonb_array_elements(f.chunks) as chunk
+where f.rating = -1
+group by chunk->>'source', chunk->>'contentHash', case when chunk->>'contentHash' is null then chunk->>'id' end
+order by negative_count desc, last_reported_at desc;
@@ -0,0 +1,344 @@
+// Admin console: browse, search and maintain the indexed knowledge base
+import { AdminClient } from './adminClient.js'
+
+const PAGE_SIZE = 25
+
+/**
+ * Admin Application Class
+ * Every request carries the admin token; nothing is shown until the server accepts it
+ */
+class AdminApp {
+    constructor() {
+        this.adminClient = null
+        this.sources = []
+        this.chunkSource = null
+        this.chunkOffset = 0
+        this.reindexing = false
+
+        this.setupEventListeners()
+
+        // The token only lives for this browser tab
+        const savedToken = sessionStorage.getItem('chatbotAdminToken')
+        if (savedToken) this.signIn(savedToken)
+    }
+
+    /**
+     * Set up event listeners for the console's controls
+     */
+    setupEventListeners() {
+        document.getElementById('login-form').addEventListener('submit', (e) => {
+            e.preventDefault()
+            this.signIn(document.getElementById('admin-token').value)
+        })
+        document.getElementById('sign-out-btn').addEventListener('click', () => this.signOut())
+
+        document.getElementById('search-form').addEventListener('submit', (e) => {
+            e.preventDefault()
+            this.search()
+        })
+        document.getElementById('prev-page-btn').addEventListener('click', () => {
+            this.showChunks(this.chunkSource, Math.max(0, this.chunkOffset - PAGE_SIZE))
+        })
+        document.getElementById('next-page-btn').addEventListener('click', () => {
+            this.showChunks(this.chunkSource, this.chunkOffset + PAGE_SIZE)
+        })
+
+        // Update the progress bar as chunks are processed
+        window.addEventListener('processingUpdate', (e) => {
+            const { source, current, total, resuming } = e.detail
+            document.getElementById('reindex-progress').hidden = false
+            const bar = document.getElementById('reindex-bar')
+            bar.max = Math.max(total, 1)
+            bar.value = current
+            document.getElementById('reindex-label').textContent =
+                `${source}: ${current}/${total} chunks${resuming ? ' (Resumed)' : ''}`
+        })
+    }
+
+    /**
+     * Check the token against the server and open the console
+     * @param {string} token - The admin token
+     */
+    async signIn(token) {
+        const loginError = document.getElementById('login-error')
+        loginError.textContent = ''
+        this.adminClient = new AdminClient({ token })
+
+        try {
+            await this.loadSources()
+        } catch (error) {
+            this.adminClient = null
+            sessionStorage.removeItem('chatbotAdminToken')
+            loginError.textContent = error.status === 401
+                ? 'That admin token was not accepted.'
+                : error.status === 404
+                    ? 'The admin console is turned off. Set ADMIN_TOKEN on the API server.'
+                    : 'Could not reach the API server.'
+            return
+        }
+
+        sessionStorage.setItem('chatbotAdminToken', token)
+        document.getElementById('login-form').hidden = true
+        document.getElementById('console').hidden = false
+        document.getElementById('sign-out-btn').hidden = false
+    }
+
+    signOut() {
+        sessionStorage.removeItem('chatbotAdminToken')
+        location.reload()
+    }
+
+    /**
+     * Dispatch a progress event for the progress bar
+     * @param {Object} detail - { source, current, total, resuming }
+     */
+    dispatchProcessingUpdate(detail) {
+        window.dispatchEvent(new CustomEvent('processingUpdate', { detail }))
+    }
+
+    /**
+     * Load the indexing status of every source and render the table
+     */
+    async loadSources() {
+        const { sources, reindexing } = await this.adminClient.getSources()
+        this.sources = sources
+        this.renderSources()
+
+        // A re-index started from another tab: follow it until it finishes
+        if (reindexing && !this.reindexing) {
+            this.dispatchProcessingUpdate(reindexing)
+            setTimeout(() => this.loadSources().catch(error => console.error('Could not refresh sources:', error)), 2000)
+        }
+    }
+
+    renderSources() {
+        const body = document.getElementById('sources-body')
+        body.replaceChildren()
+
+        this.sources.forEach(status => {
+            const row = document.createElement('tr')
+
+            const name = document.createElement('button')
+            name.type = 'button'
+            name.classList.add('source-link')
+            name.textContent = status.source
+            name.addEventListener('click', () => this.showChunks(status.source, 0))
+
+            const actions = document.createElement('td')
+            actions.append(
+                this.createButton('Re-index', () => this.reindex(status.source, false)),
+                this.createButton('Rebuild', () => {
+                    if (confirm(`Delete and re-embed every chunk of ${status.source}?`)) {
+                        this.reindex(status.source, true)
+                    }
+                }, 'danger')
+            )
+
+            row.append(
+                this.createCell(name),
+                this.createCell(status.knowledgeBase),
+                this.createCell(status.indexedChunks),
+                this.createCell(status.expectedChunks),
+                this.createCell(status.isComplete ? 'Up to date' : 'Needs re-index'),
+                actions
+            )
+            body.appendChild(row)
+        })
+
+        const sourceSelect = document.getElementById('search-source')
+        const selected = sourceSelect.value
+        sourceSelect.replaceChildren(new Option('All sources', ''))
+        this.sources.forEach(({ source }) => sourceSelect.appendChild(new Option(source, source)))
+        sourceSelect.value = selected
+
+        document.querySelectorAll('#sources-body .admin-btn').forEach(button => {
+            button.disabled = this.reindexing
+        })
+    }
+
+    /**
+     * Re-index a source on the server and follow its progress
+     * @param {string} source - Name of the source
+     * @param {boolean} force - Rebuild every chunk rather than only the changed ones
+     */
+    async reindex(source, force) {
+        this.reindexing = true
+        this.renderSources()
+        const label = document.getElementById('reindex-label')
+        this.dispatchProcessingUpdate({ source, current: 0, total: 0, resuming: false })
+
+        try {
+            for await (const event of this.adminClient.reindex(source, force)) {
+                if (event.type === 'progress') {
+                    this.dispatchProcessingUpdate(event)
+                } else if (event.type === 'done') {
+                    const { added, changed, moved, removed, failed } = event.report
+                    label.textContent = `${source}: ${added.length} added, ${changed.length} changed, ` +
+                        `${moved.length} moved, ${removed.length} removed` +
+                        (failed.length ? `, ${failed.length} failed` : '')
+                } else if (event.type === 'error') {
+                    label.textContent = event.message
+                }
+            }
+        } catch (error) {
+            console.error('Re-index failed:', error)
+            label.textContent = error.status === 409 ? error.message : `Re-indexing ${source} failed.`
+        }
+
+        this.reindexing = false
+        await this.loadSources()
+        if (this.chunkSource === source) await this.showChunks(source, this.chunkOffset)
+    }
+
+    /**
+     * Show a page of a source's chunks
+     * @param {string} source - Name of the source
+     * @param {number} offset - Index of the first chunk to show
+     */
+    async showChunks(source, offset) {
+        try {
+            const { total, chunks } = await this.adminClient.listChunks(source, offset, PAGE_SIZE)
+            this.chunkSource = source
+            this.chunkOffset = offset
+
+            document.getElementById('chunks-heading').textContent = `Chunks of ${source} (${total})`
+            this.renderChunks(chunks)
+
+            const last = Math.min(offset + PAGE_SIZE, total)
+            document.getElementById('page-label').textContent = total ? `${offset + 1}–${last} of ${total}` : ''
+            document.getElementById('prev-page-btn').disabled = offset === 0
+            document.getElementById('next-page-btn').disabled = last >= total
+        } catch (error) {
+            console.error('Could not load chunks:', error)
+        }
+    }
+
+    /**
+     * Search chunks and show the matches in place of the chunk list
+     */
+    async search() {
+        const query = document.getElementById('search-query').value
+        const mode = document.getElementById('search-mode').value
+        const source = document.getElementById('search-source').value
+
+        try {
+            const { results } = await this.adminClient.searchChunks(query, { mode, source })
+            this.chunkSource = null
+            document.getElementById('chunks-heading').textContent =
+                `${mode === 'keyword' ? 'Full-text' : 'Semantic'} matches for "${query}" (${results.length})`
+            this.renderChunks(results)
+            document.getElementById('page-label').textContent = ''
+            document.getElementById('prev-page-btn').disabled = true
+            document.getElementById('next-page-btn').disabled = true
+        } catch (error) {
+            console.error('Search failed:', error)
+        }
+    }
+
+    /**
+     * @param {Array<Object>} chunks - Rows with id, content, metadata and optional similarity/rank
+     */
+    renderChunks(chunks) {
+        const list = document.getElementById('chunk-list')
+        list.replaceChildren()
+
+        if (chunks.length === 0) {
+            const empty = document.createElement('p')
+            empty.classList.add('empty')
+            empty.textContent = 'No chunks found.'
+            list.appendChild(empty)
+            return
+        }
+        chunks.forEach(chunk => list.appendChild(this.createChunkElement(chunk)))
+    }
+
+    /**
+     * Build the card for one chunk, with its metadata and actions
+     * @param {Object} chunk - Row with id, content, metadata and optional similarity/rank
+     * @returns {HTMLElement} The card element
+     */
+    createChunkElement(chunk) {
+        const card = document.createElement('article')
+        card.classList.add('chunk')
+
+        const meta = document.createElement('div')
+        meta.classList.add('chunk-meta')
+        const { source, chunkIndex, section, question, length, timestamp } = chunk.metadata ?? {}
+        const details = [
+            chunk.id != null && `#${chunk.id}`,
+            `${source} · chunk ${chunkIndex}`,
+            section && `Section: ${section}`,
+            question && `Q: ${question.split('\n')[0]}`,
+            length && `${length} chars`,
+            typeof chunk.similarity === 'number' && `${Math.round(chunk.similarity * 100)}% match`,
+            typeof chunk.rank === 'number' && `rank ${chunk.rank.toFixed(3)}`,
+            timestamp && `embedded ${new Date(timestamp).toLocaleString()}`
+        ]
+        details.filter(Boolean).forEach(text => {
+            const item = document.createElement('span')
+            item.textContent = text
+            meta.appendChild(item)
+        })
+
+        const content = document.createElement('p')
+        content.classList.add('chunk-content')
+        content.textContent = chunk.content
+
+        const actions = document.createElement('div')
+        actions.classList.add('chunk-actions')
+        if (chunk.id != null) {
+            actions.append(
+                this.createButton('Re-embed', async (button) => {
+                    button.disabled = true
+                    try {
+                        const updated = await this.adminClient.reembedChunk(chunk.id)
+                        card.replaceWith(this.createChunkElement({ ...chunk, metadata: updated.metadata }))
+                    } catch (error) {
+                        console.error('Could not re-embed chunk:', error)
+                        button.disabled = false
+                    }
+                }),
+                this.createButton('Delete', async (button) => {
+                    if (!confirm(`Delete chunk ${chunkIndex} of ${source}? It comes back the next time the source is re-indexed.`)) return
+                    button.disabled = true
+                    try {
+                        await this.adminClient.deleteChunk(chunk.id)
+                        card.remove()
+                        await this.loadSources()
+                    } catch (error) {
+                        console.error('Could not delete chunk:', error)
+                        button.disabled = false
+                    }
+                }, 'danger')
+            )
+        }
+
+        card.append(meta, content, actions)
+        return card
+    }
+
+    /**
+     * @param {string} text - Button label
+     * @param {Function} onClick - Called with the button when clicked
+     * @param {string} [variant] - Extra class, e.g. 'danger'
+     * @returns {HTMLButtonElement}
+     */
+    createButton(text, onClick, variant = null) {
+        const button = document.createElement('button')
+        button.type = 'button'
+        button.classList.add('admin-btn')
+        if (variant) button.classList.add(variant)
+        button.textContent = text
+        button.addEventListener('click', () => onClick(button))
+        return button
+    }
+
+    createCell(content) {
+        const cell = document.createElement('td')
+        cell.append(content instanceof Node ? content : String(content))
+        return cell
+    }
+}
+
+// Create an instance of the AdminApp class to start the console
+new AdminApp()
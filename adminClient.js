@@ -0,0 +1,69 @@
+import { ApiClient } from './apiClient.js'
+
+/**
+ * AdminClient Class
+ * Calls the /api/admin routes with the admin token as a bearer credential
+ */
+export class AdminClient extends ApiClient {
+    /**
+     * @param {Object} config - Client configuration
+     * @param {string} config.token - The server's ADMIN_TOKEN
+     * @param {string} [config.baseUrl] - Where the API is served
+     */
+    constructor({ token, baseUrl = '/api' }) {
+        super({ clientId: 'admin-console', baseUrl })
+        this.token = token
+    }
+
+    /**
+     * Admin routes skip the chat session and authenticate with the token instead
+     */
+    async send(path, options = {}) {
+        return await super.send(`/admin${path}`, {
+            ...options,
+            headers: { Authorization: `Bearer ${this.token}`, ...options.headers }
+        }, false)
+    }
+
+    async getSources() {
+        return await this.request('/sources')
+    }
+
+    async listChunks(source, offset = 0, limit = 50) {
+        const params = new URLSearchParams({ source, offset, limit })
+        return await this.request(`/chunks?${params}`)
+    }
+
+    /**
+     * @param {string} query - Search text
+     * @param {Object} [options] - mode ('keyword' or 'semantic'), source and k
+     */
+    async searchChunks(query, { mode = 'semantic', source = '', k = 10 } = {}) {
+        const params = new URLSearchParams({ q: query, mode, k })
+        if (source) params.set('source', source)
+        return await this.request(`/search?${params}`)
+    }
+
+    async deleteChunk(id) {
+        return await this.request(`/chunks/${encodeURIComponent(id)}`, { method: 'DELETE' })
+    }
+
+    async reembedChunk(id) {
+        return await this.request(`/chunks/${encodeURIComponent(id)}/reembed`, { method: 'POST' })
+    }
+
+    /**
+     * Re-index a source and stream its progress
+     * @param {string} source - Name of the source
+     * @param {boolean} [force] - Drop and rebuild every chunk instead of only the changed ones
+     * @returns {AsyncGenerator<Object>} progress events, then a done or error event
+     */
+    async *reindex(source, force = false) {
+        const response = await this.send('/reindex', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source, force })
+        })
+        yield* this.readEvents(response)
+    }
+}
@@ -0,0 +1,120 @@
+import { cosineSimilarity } from './localStore.js'
+
+/**
+ * AnswerCache Class
+ * Maps standalone-question embeddings to finished answers so that repeated
+ * questions ("is it self-paced?") skip retrieval and the answer call. An entry
+ * remembers the content hash of every chunk it was answered from and is
+ * dropped as soon as one of those chunks is no longer stored, i.e. once its
+ * source has been re-indexed with different text.
+ */
+export class AnswerCache {
+    /**
+     * @param {Object} config - Cache configuration
+     * @param {Embeddings} config.embeddings - Embeddings used for the standalone questions
+     * @param {SupabaseService|LocalStorageService} config.storageService - Checks cached chunks are still indexed
+     * @param {number} [config.threshold] - Minimum similarity for a cached question to count as the same
+     * @param {number} [config.maxEntries] - Least recently used entries are evicted past this size
+     * @param {number} [config.ttlMs] - Entries older than this are ignored
+     */
+    constructor({ embeddings, storageService, threshold = 0.95, maxEntries = 500, ttlMs = 24 * 60 * 60 * 1000 }) {
+        this.embeddings = embeddings
+        this.storageService = storageService
+        this.threshold = threshold
+        this.maxEntries = maxEntries
+        this.ttlMs = ttlMs
+        this.entries = []
+    }
+
+    /**
+     * Embed a standalone question for lookup and storage
+     * @param {string} question - The standalone question
+     * @returns {Promise<Array<number>>} The question's embedding
+     */
+    async embed(question) {
+        return await this.embeddings.embedQuery(question)
+    }
+
+    /**
+     * Find a fresh cached answer for a question
+     * @param {Array<number>} embedding - Embedding of the standalone question
+     * @returns {Promise<Object|null>} { question, response, sources, similarity } or null on a miss
+     */
+    async lookup(embedding) {
+        const now = Date.now()
+        this.entries = this.entries.filter(entry => now - entry.createdAt < this.ttlMs)
+
+        const matches = this.entries
+            .map(entry => ({ entry, similarity: cosineSimilarity(embedding, entry.embedding) }))
+            .filter(({ similarity }) => similarity >= this.threshold)
+            .sort((a, b) => b.similarity - a.similarity)
+
+        for (const { entry, similarity } of matches) {
+            if (!await this.isFresh(entry)) {
+                this.entries = this.entries.filter(other => other !== entry)
+                continue
+            }
+
+            // Move to the end so eviction drops the least recently used entries first
+            this.entries = [...this.entries.filter(other => other !== entry), entry]
+            return { question: entry.question, response: entry.response, sources: entry.sources, similarity }
+        }
+        return null
+    }
+
+    /**
+     * Cache an answer together with the chunks it was generated from
+     * Answers built from chunks without a content hash are not cached, since
+     * there would be no way to tell when they go stale
+     * @param {Object} entry - The answer to cache
+     * @param {string} entry.question - The standalone question
+     * @param {Array<number>} entry.embedding - Its embedding
+     * @param {string} entry.response - The formatted answer
+     * @param {Array<Object>} entry.sources - Sources shown with the answer
+     * @param {Array<Document>} entry.documents - The retrieved chunks
+     */
+    store({ question, embedding, response, sources, documents }) {
+        const chunks = documents.map(document => ({
+            source: document.metadata?.source,
+            contentHash: document.metadata?.contentHash
+        }))
+        if (chunks.length === 0 || chunks.some(chunk => !chunk.source || !chunk.contentHash)) return
+
+        this.entries.push({ question, embedding, response, sources, chunks, createdAt: Date.now() })
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries)
+        }
+    }
+
+    /**
+     * Check that every chunk an entry was answered from is still indexed
+     * @param {Object} entry - A cache entry
+     * @returns {Promise<boolean>}
+     */
+    async isFresh(entry) {
+        const hashesBySource = new Map()
+        for (const { source, contentHash } of entry.chunks) {
+            if (!hashesBySource.has(source)) hashesBySource.set(source, new Set())
+            hashesBySource.get(source).add(contentHash)
+        }
+
+        for (const [source, hashes] of hashesBySource) {
+            const rows = await this.storageService.findChunksByHash(source, [...hashes])
+            const stored = new Set(rows.map(row => row.metadata?.contentHash))
+            if ([...hashes].some(hash => !stored.has(hash))) return false
+        }
+        return true
+    }
+
+    /**
+     * Drop every entry answered from a source, e.g. right after re-indexing it
+     * @param {string} source - Name of the source
+     */
+    invalidateSource(source) {
+        this.entries = this.entries.filter(entry => !entry.chunks.some(chunk => chunk.source === source))
+    }
+
+    clear() {
+        this.entries = []
+    }
+}
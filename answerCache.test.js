@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Document } from 'langchain/document'
+import { AnswerCache } from './answerCache.js'
+import { LocalDatabase, LocalStorageService } from './localStore.js'
+import { FakeEmbeddings } from './providers.js'
+
+const question = 'Is the Career Path self-paced?'
+
+/**
+ * An answer cache over a local store holding one chunk of faq.txt
+ * @returns {Promise<Object>} { answerCache, storageService }
+ */
+async function createCache() {
+    const storageService = new LocalStorageService({ database: new LocalDatabase() })
+    await storageService.insertChunks([{ content: 'Yes, study at your own pace.', metadata: { source: 'faq.txt', chunkIndex: 0, contentHash: 'hash-1' } }])
+    const answerCache = new AnswerCache({ embeddings: new FakeEmbeddings(), storageService })
+    return { answerCache, storageService }
+}
+
+/**
+ * Cache an answer to the question, built from the chunk with the given hash
+ * @param {AnswerCache} answerCache - The cache
+ * @param {string} contentHash - Hash of the chunk the answer used
+ */
+async function storeAnswer(answerCache, contentHash) {
+    answerCache.store({
+        question,
+        embedding: await answerCache.embed(question),
+        response: 'Yes, it is self-paced.',
+        sources: [],
+        documents: [new Document({ pageContent: 'Yes, study at your own pace.', metadata: { source: 'faq.txt', contentHash } })]
+    })
+}
+
+test('a cached answer is reused while its chunks are still indexed', async () => {
+    const { answerCache } = await createCache()
+    await storeAnswer(answerCache, 'hash-1')
+
+    const cached = await answerCache.lookup(await answerCache.embed(question))
+    assert.equal(cached.response, 'Yes, it is self-paced.')
+})
+
+test('an answer goes stale once a chunk it used is re-indexed with different text', async () => {
+    const { answerCache, storageService } = await createCache()
+    await storeAnswer(answerCache, 'hash-1')
+
+    await storageService.deleteSource('faq.txt')
+    await storageService.insertChunks([{ content: 'No, it has deadlines.', metadata: { source: 'faq.txt', chunkIndex: 0, contentHash: 'hash-2' } }])
+
+    assert.equal(await answerCache.lookup(await answerCache.embed(question)), null)
+    assert.equal(answerCache.entries.length, 0)
+})
+
+test('invalidateSource drops the answers built from that source', async () => {
+    const { answerCache } = await createCache()
+    await storeAnswer(answerCache, 'hash-1')
+
+    answerCache.invalidateSource('other.txt')
+    assert.equal(answerCache.entries.length, 1)
+
+    answerCache.invalidateSource('faq.txt')
+    assert.equal(await answerCache.lookup(await answerCache.embed(question)), null)
+})
+
+test('answers from chunks without a content hash are not cached', async () => {
+    const { answerCache } = await createCache()
+    await storeAnswer(answerCache, undefined)
+
+    assert.equal(answerCache.entries.length, 0)
+})
+
+test('entries expire after the TTL', async () => {
+    const { answerCache } = await createCache()
+    await storeAnswer(answerCache, 'hash-1')
+    answerCache.entries[0].createdAt -= answerCache.ttlMs
+
+    assert.equal(await answerCache.lookup(await answerCache.embed(question)), null)
+})
@@ -0,0 +1,176 @@
+/**
+ * Error returned by the API server
+ */
+export class ApiError extends Error {
+    constructor(status, message, retryAfter = null) {
+        super(message)
+        this.status = status
+        this.retryAfter = retryAfter
+    }
+}
+
+/**
+ * ApiClient Class
+ * Thin browser client for the API server; holds no secrets
+ */
+export class ApiClient {
+    /**
+     * @param {Object} config - Client configuration
+     * @param {string} config.clientId - Anonymous id the browser's threads are saved under
+     * @param {string} [config.baseUrl] - Where the API is served
+     */
+    constructor({ clientId, baseUrl = '/api' }) {
+        this.clientId = clientId
+        this.baseUrl = baseUrl
+        this.sessionReady = null
+    }
+
+    /**
+     * Make sure the server has issued a session cookie (a no-op when sessions are disabled)
+     */
+    async ensureSession() {
+        this.sessionReady ??= this.request('/session', {}, false).catch(error => {
+            this.sessionReady = null
+            throw error
+        })
+        await this.sessionReady
+    }
+
+    /**
+     * Send a request to the API server
+     * @param {string} path - Path below the base URL
+     * @param {Object} [options] - fetch options
+     * @param {boolean} [needsSession] - Whether to establish a session first
+     * @returns {Promise<Response>} The successful response
+     */
+    async send(path, options = {}, needsSession = true) {
+        if (needsSession) await this.ensureSession()
+
+        const headers = { 'X-Client-Id': this.clientId, ...options.headers }
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers,
+            credentials: 'same-origin'
+        })
+
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}))
+            const retryAfter = response.headers.get('Retry-After')
+            throw new ApiError(response.status, error ?? response.statusText, retryAfter ? parseInt(retryAfter, 10) : null)
+        }
+        return response
+    }
+
+    /**
+     * Send a request and parse the JSON response
+     * @param {string} path - Path below the base URL
+     * @param {Object} [options] - fetch options
+     * @param {boolean} [needsSession] - Whether to establish a session first
+     * @returns {Promise<Object>} The response body
+     */
+    async request(path, options = {}, needsSession = true) {
+        const response = await this.send(path, options, needsSession)
+        return await response.json()
+    }
+
+    /**
+     * Ask a question and stream the answer events
+     * Yields { type: 'thread', thread } first, then the ChatManager events
+     * @param {string} question - The user's question
+     * @param {string|null} threadId - Thread to continue, or null to start one
+     * @param {Object} [options] - Options
+     * @param {string} [options.knowledgeBase] - Knowledge base a new thread is started with; the server default when omitted
+     * @param {AbortSignal} [options.signal] - Stops the answer; the server drops the unfinished turn
+     * @param {number} [options.replaceMessageId] - The thread's latest answer, to replace it instead of adding a turn
+     * @returns {AsyncGenerator<Object>} Stream of chat events
+     */
+    async *streamChat(question, threadId, { knowledgeBase, signal, replaceMessageId = null } = {}) {
+        const response = await this.send('/chat', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ question, threadId, knowledgeBase, replaceMessageId }),
+            signal
+        })
+        yield* this.readEvents(response)
+    }
+
+    /**
+     * Parse a newline-delimited JSON response as it streams in
+     * @param {Response} response - The streaming response
+     * @returns {AsyncGenerator<Object>} One parsed object per line
+     */
+    async *readEvents(response) {
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+        let buffer = ''
+        while (true) {
+            const { value, done } = await reader.read()
+            if (done) break
+
+            buffer += value
+            const lines = buffer.split('\n')
+            buffer = lines.pop()
+            for (const line of lines) {
+                if (line.trim()) yield JSON.parse(line)
+            }
+        }
+        if (buffer.trim()) yield JSON.parse(buffer)
+    }
+
+    /**
+     * List the knowledge bases the chat can be pointed at
+     * @returns {Promise<Object>} { default, knowledgeBases } with each one's id, name, greeting and escalation contact
+     */
+    async getKnowledgeBases() {
+        return await this.request('/knowledge-bases')
+    }
+
+    async getIngestStatus(knowledgeBase) {
+        return await this.request(`/ingest/status?${new URLSearchParams({ knowledgeBase })}`)
+    }
+
+    async listThreads(knowledgeBase) {
+        return await this.request(`/threads?${new URLSearchParams({ knowledgeBase })}`)
+    }
+
+    async getThreadMessages(threadId) {
+        return await this.request(`/threads/${encodeURIComponent(threadId)}/messages`)
+    }
+
+    async deleteThread(threadId) {
+        return await this.request(`/threads/${encodeURIComponent(threadId)}`, { method: 'DELETE' })
+    }
+
+    /**
+     * Rate an answer; rating it again replaces the earlier rating
+     * @param {Object} feedback - threadId, messageId, rating ('up' or 'down') and an optional comment
+     */
+    async sendFeedback({ threadId, messageId, rating, comment }) {
+        return await this.request('/feedback', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ threadId, messageId, rating, comment })
+        })
+    }
+
+    /**
+     * Ask for a human to follow up on a thread
+     * @param {Object} ticket - threadId, email, optional note and the handoff reason
+     * @returns {Promise<Object>} The new ticket with its id and status
+     */
+    async createTicket({ threadId, email, note, reason }) {
+        return await this.request('/tickets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ threadId, email, note, reason })
+        })
+    }
+
+    async listTickets() {
+        return await this.request('/tickets')
+    }
+
+    async getTicket(ticketId) {
+        return await this.request(`/tickets/${encodeURIComponent(ticketId)}`)
+    }
+}
@@ -0,0 +1,341 @@
+import { readFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+import { parseTemplate } from 'langchain/prompts'
+import { DEFAULT_PROMPTS } from './chatManager.js'
+
+/**
+ * Every setting bot.config.json may contain, by its dotted path
+ * Each entry gives the type, the allowed range, the default (numbers defaulting
+ * to null may also be set to null) and, for settings
+ * that could already be tuned from the environment, the variable that
+ * overrides the file. Templates list the variables they must use and the
+ * optional ones they may use.
+ */
+export const BOT_CONFIG_SCHEMA = {
+    'model.chatModel': { type: 'string', default: null, env: 'LLM_CHAT_MODEL' },
+    'model.embeddingModel': { type: 'string', default: null, env: 'LLM_EMBEDDING_MODEL' },
+    'model.temperature': { type: 'number', min: 0, max: 2, default: 0.7 },
+    'model.maxTokens': { type: 'integer', min: 1, default: 500 },
+
+    'chunking.chunkSize': { type: 'integer', min: 1, default: 500 },
+    'chunking.chunkOverlap': { type: 'integer', min: 0, default: 50 },
+
+    'retrieval.k': { type: 'integer', min: 1, default: 4, env: 'RETRIEVAL_K' },
+    'retrieval.minSimilarity': { type: 'number', min: 0, max: 1, default: 0.75, env: 'RETRIEVAL_MIN_SIMILARITY' },
+    'retrieval.vectorWeight': { type: 'number', min: 0, default: 1, env: 'RETRIEVAL_VECTOR_WEIGHT' },
+    'retrieval.keywordWeight': { type: 'number', min: 0, default: 1, env: 'RETRIEVAL_KEYWORD_WEIGHT' },
+    'retrieval.rrfK': { type: 'number', min: 0, default: 60, env: 'RETRIEVAL_RRF_K' },
+    'retrieval.mmr': { type: 'boolean', default: false, env: 'RETRIEVAL_MMR' },
+    'retrieval.mmrFetchK': { type: 'integer', min: 1, default: 12, env: 'RETRIEVAL_MMR_FETCH_K' },
+    'retrieval.mmrLambda': { type: 'number', min: 0, max: 1, default: 0.7, env: 'RETRIEVAL_MMR_LAMBDA' },
+    'retrieval.handoffMinSimilarity': { type: 'number', min: 0, max: 1, default: 0.8, env: 'HANDOFF_MIN_SIMILARITY' },
+
+    'context.windowTokens': { type: 'integer', min: 1, default: 4096 },
+    'context.maxContextTokens': { type: 'integer', min: 0, default: 1000 },
+    'context.recentTurns': { type: 'integer', min: 1, default: 4 },
+    'context.maxHistoryTokens': { type: 'integer', min: 0, default: 1000 },
+
+    'answerCache.size': { type: 'integer', min: 0, default: 500, env: 'ANSWER_CACHE_SIZE' },
+    'answerCache.threshold': { type: 'number', min: 0, max: 1, default: 0.95, env: 'ANSWER_CACHE_THRESHOLD' },
+    'answerCache.ttlHours': { type: 'number', min: 0, default: 24, env: 'ANSWER_CACHE_TTL_HOURS' },
+
+    'rateLimits.requestsPerMinute': { type: 'number', min: 0, default: 3, env: 'OPENAI_RPM' },
+    'rateLimits.tokensPerMinute': { type: 'number', min: 0, default: 40000, env: 'OPENAI_TPM' },
+    'rateLimits.embeddingRequestsPerMinute': { type: 'number', min: 0, default: 3 },
+    'rateLimits.embeddingTokensPerMinute': { type: 'number', min: 0, default: 150000 },
+    'rateLimits.clientRequestsPerMinute': { type: 'integer', min: 1, default: 10, env: 'CLIENT_RATE_LIMIT' },
+
+    'timeouts.requestMs': { type: 'integer', min: 1, default: 30000 },
+    'timeouts.providerMs': { type: 'integer', min: 1, default: null },
+
+    'prompts.standaloneQuestion': {
+        type: 'template',
+        default: DEFAULT_PROMPTS.standaloneQuestion,
+        variables: ['chat_history', 'question'],
+        optionalVariables: ['persona', 'escalation_reply']
+    },
+    'prompts.summary': {
+        type: 'template',
+        default: DEFAULT_PROMPTS.summary,
+        variables: ['summary', 'new_lines'],
+        optionalVariables: ['persona', 'escalation_reply']
+    },
+    'prompts.answer': {
+        type: 'template',
+        default: DEFAULT_PROMPTS.answer,
+        variables: ['chat_history', 'context', 'question'],
+        optionalVariables: ['persona', 'escalation_reply']
+    }
+}
+
+/**
+ * Flatten nested settings into [dotted path, value] pairs
+ * Arrays are values, since a template may be written as a list of lines
+ * @param {Object} settings - Nested settings
+ * @param {string} [prefix] - Path of the object being flattened
+ * @returns {Array<Array>} The leaf settings
+ */
+function flattenSettings(settings, prefix = '') {
+    return Object.entries(settings).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key
+        return value !== null && typeof value === 'object' && !Array.isArray(value)
+            ? flattenSettings(value, path)
+            : [[path, value]]
+    })
+}
+
+/**
+ * Parse an environment variable according to the setting it overrides
+ * @param {Object} spec - The setting's schema entry
+ * @param {string} text - The variable's value
+ * @returns {*} The parsed value; left as text when it cannot be parsed, so validation reports it
+ */
+function parseEnvValue(spec, text) {
+    if (spec.type === 'number' || spec.type === 'integer') {
+        return text.trim() === '' ? text : Number(text)
+    }
+    if (spec.type === 'boolean') {
+        return text === 'true' ? true : text === 'false' ? false : text
+    }
+    return text
+}
+
+/**
+ * Check one setting against its schema entry
+ * @param {string} path - The setting's dotted path
+ * @param {Object} spec - Its schema entry
+ * @param {*} value - The value to check
+ * @returns {string|null} What is wrong with the value, or null when it is valid
+ */
+function checkSetting(path, spec, value) {
+    const got = typeof value === 'number' ? String(value) : JSON.stringify(value)
+
+    if (spec.type === 'string') {
+        return value === null || (typeof value === 'string' && value.trim())
+            ? null
+            : `${path} must be a non-empty string or null, got ${got}`
+    }
+    if (spec.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${path} must be true or false, got ${got}`
+    }
+    if (spec.type === 'template') {
+        return checkTemplate(path, spec, value)
+    }
+
+    if (value === null && spec.default === null) return null
+    const isNumber = typeof value === 'number' && Number.isFinite(value)
+    if (!isNumber || (spec.type === 'integer' && !Number.isInteger(value))) {
+        const orNull = spec.default === null ? ' or null' : ''
+        return `${path} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}${orNull}, got ${got}`
+    }
+    if (value < spec.min || value > spec.max) {
+        const range = spec.max === undefined ? `at least ${spec.min}` : `between ${spec.min} and ${spec.max}`
+        return `${path} must be ${range}, got ${got}`
+    }
+    return null
+}
+
+/**
+ * Check a prompt template's syntax and the variables it uses
+ * @param {string} path - The setting's dotted path
+ * @param {Object} spec - Its schema entry, with the required and optional variables
+ * @param {string|Array<string>} value - The template, or its lines
+ * @returns {string|null} What is wrong with the template, or null when it is valid
+ */
+function checkTemplate(path, spec, value) {
+    const isLines = Array.isArray(value) && value.every(line => typeof line === 'string')
+    if (typeof value !== 'string' && !isLines) {
+        return `${path} must be a string or a list of lines`
+    }
+
+    let used
+    try {
+        used = parseTemplate(isLines ? value.join('\n') : value, 'f-string')
+            .filter(node => node.type === 'variable')
+            .map(node => node.name)
+    } catch (error) {
+        return `${path} is not a valid template: ${error.message} Write literal braces as {{ and }}`
+    }
+
+    const missing = spec.variables.filter(name => !used.includes(name))
+    const unknown = [...new Set(used)].filter(name => !spec.variables.includes(name) && !spec.optionalVariables.includes(name))
+    const problems = []
+    if (missing.length) {
+        problems.push(`is missing ${missing.map(name => `{${name}}`).join(', ')}`)
+    }
+    if (unknown.length) {
+        problems.push(`uses unknown ${unknown.map(name => `{${name}}`).join(', ')}`)
+    }
+    if (problems.length === 0) return null
+
+    const allowed = [...spec.variables, ...spec.optionalVariables].map(name => `{${name}}`).join(', ')
+    return `${path} ${problems.join(' and ')} (it can use ${allowed})`
+}
+
+/**
+ * Merge the config file, the current environment's overrides and the
+ * environment variables over the defaults, and validate the result
+ * @param {Object} file - Parsed contents of bot.config.json
+ * @param {Object} env - The loaded environment
+ * @param {string} [source] - Name of the file, for error messages
+ * @returns {Object} The nested settings
+ */
+export function resolveBotConfig(file, env, source = 'bot.config.json') {
+    const environment = env.NODE_ENV || 'development'
+    const errors = []
+    const values = new Map(Object.entries(BOT_CONFIG_SCHEMA).map(([path, spec]) => [path, spec.default]))
+
+    if (file === null || typeof file !== 'object' || Array.isArray(file)) {
+        throw new Error(`${source} must contain a JSON object`)
+    }
+    const { environments = {}, ...base } = file
+    if (environments === null || typeof environments !== 'object' || Array.isArray(environments)) {
+        throw new Error(`"environments" in ${source} must map environment names to settings`)
+    }
+
+    // Typos in any environment are reported, not just in the one running
+    const layers = [[base, '']]
+    for (const [name, overrides] of Object.entries(environments)) {
+        if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            errors.push(`environments.${name} must be an object of settings`)
+            continue
+        }
+        layers.push([overrides, `environments.${name}.`])
+    }
+    for (const [settings, prefix] of layers) {
+        for (const [path, value] of flattenSettings(settings)) {
+            if (!(path in BOT_CONFIG_SCHEMA)) {
+                errors.push(`${prefix}${path} is not a setting`)
+            } else if (!prefix || prefix === `environments.${environment}.`) {
+                values.set(path, value)
+            }
+        }
+    }
+
+    const origins = new Map()
+    for (const [path, spec] of Object.entries(BOT_CONFIG_SCHEMA)) {
+        if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+            values.set(path, parseEnvValue(spec, env[spec.env]))
+            origins.set(path, spec.env)
+        }
+    }
+
+    for (const [path, spec] of Object.entries(BOT_CONFIG_SCHEMA)) {
+        const error = checkSetting(path, spec, values.get(path))
+        const origin = origins.get(path)
+        if (error) errors.push(origin ? `${error} (set by ${origin}=${env[origin]})` : error)
+    }
+    if (errors.length === 0 && values.get('chunking.chunkOverlap') >= values.get('chunking.chunkSize')) {
+        errors.push('chunking.chunkOverlap must be smaller than chunking.chunkSize')
+    }
+    if (errors.length === 0 && values.get('context.maxContextTokens') + values.get('model.maxTokens') >= values.get('context.windowTokens')) {
+        errors.push('context.maxContextTokens plus model.maxTokens must leave room in context.windowTokens for the prompt')
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid bot configuration in ${source} (${environment}):\n${errors.map(error => `  - ${error}`).join('\n')}`)
+    }
+
+    // Nest the settings again, joining templates written as lists of lines
+    const config = {}
+    for (const [path, value] of values) {
+        const [section, key] = path.split('.')
+        config[section] ??= {}
+        config[section][key] = Array.isArray(value) ? value.join('\n') : value
+    }
+    return config
+}
+
+/**
+ * Load and validate the bot configuration
+ * Reads bot.config.json (or the file named by BOT_CONFIG) from rootDir. The
+ * file is optional; without it every setting keeps its default.
+ * @param {string} rootDir - Directory holding the config file
+ * @param {Object} env - The loaded environment
+ * @returns {Promise<Object>} The nested settings
+ */
+export async function loadBotConfig(rootDir, env) {
+    const path = resolve(rootDir, env.BOT_CONFIG || 'bot.config.json')
+
+    let file = {}
+    try {
+        file = JSON.parse(await readFile(path, 'utf8'))
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            throw new Error(`${path} is not valid JSON: ${error.message}`)
+        }
+        // Only a config file that was asked for by name has to exist
+        if (error.code !== 'ENOENT' || env.BOT_CONFIG) throw error
+    }
+    return resolveBotConfig(file, env, path)
+}
+
+/**
+ * Build the retrieval config
+ * A weight of 0 turns that search off
+ * @param {Object} botConfig - Settings from loadBotConfig
+ * @returns {Object} Config for HybridRetriever (weights, rrfK) and ChatManager (the rest)
+ */
+export function getRetrievalConfig({ retrieval }) {
+    return {
+        weights: { vector: retrieval.vectorWeight, keyword: retrieval.keywordWeight },
+        rrfK: retrieval.rrfK,
+        retrieverK: retrieval.k,
+        minSimilarity: retrieval.minSimilarity,
+        useMMR: retrieval.mmr,
+        mmrFetchK: retrieval.mmrFetchK,
+        mmrLambda: retrieval.mmrLambda,
+        handoffSimilarity: retrieval.handoffMinSimilarity
+    }
+}
+
+/**
+ * Build ChatManager's prompt, memory and timeout options
+ * @param {Object} botConfig - Settings from loadBotConfig
+ * @returns {Object} ChatManager options
+ */
+export function getChatConfig({ context, prompts, timeouts }) {
+    return {
+        requestTimeoutMs: timeouts.requestMs,
+        contextWindowTokens: context.windowTokens,
+        maxContextTokens: context.maxContextTokens,
+        recentTurns: context.recentTurns,
+        maxHistoryTokens: context.maxHistoryTokens,
+        prompts
+    }
+}
+
+/**
+ * Build the answer cache config
+ * @param {Object} botConfig - Settings from loadBotConfig
+ * @returns {Object|null} Config for AnswerCache, or null when its size is 0
+ */
+export function getAnswerCacheConfig({ answerCache }) {
+    if (answerCache.size === 0) return null
+
+    return {
+        maxEntries: answerCache.size,
+        threshold: answerCache.threshold,
+        ttlMs: answerCache.ttlHours * 60 * 60 * 1000
+    }
+}
+
+/**
+ * Build the model API budgets; 0 turns a limit off
+ * OpenAI limits the chat and embedding models separately, so each gets its own;
+ * the defaults match its free tier for gpt-3.5-turbo and text-embedding-ada-002
+ * @param {Object} botConfig - Settings from loadBotConfig
+ * @returns {Object} { chat, embeddings } configs for the shared RateLimiters
+ */
+export function getRateLimitConfig({ rateLimits }) {
+    return {
+        chat: {
+            requestsPerMinute: rateLimits.requestsPerMinute || Infinity,
+            tokensPerMinute: rateLimits.tokensPerMinute || Infinity
+        },
+        embeddings: {
+            requestsPerMinute: rateLimits.embeddingRequestsPerMinute || Infinity,
+            tokensPerMinute: rateLimits.embeddingTokensPerMinute || Infinity
+        }
+    }
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { BOT_CONFIG_SCHEMA, getRateLimitConfig, resolveBotConfig } from './botConfig.js'
+
+test('an empty file resolves to the defaults', () => {
+    const config = resolveBotConfig({}, {})
+
+    for (const [path, spec] of Object.entries(BOT_CONFIG_SCHEMA)) {
+        const [section, key] = path.split('.')
+        const expected = Array.isArray(spec.default) ? spec.default.join('\n') : spec.default
+        assert.equal(config[section][key], expected, path)
+    }
+})
+
+test('the shipped bot.config.json is valid', async () => {
+    const file = JSON.parse(await readFile(new URL('./bot.config.json', import.meta.url), 'utf8'))
+
+    assert.doesNotThrow(() => resolveBotConfig(file, {}))
+    assert.doesNotThrow(() => resolveBotConfig(file, { NODE_ENV: 'production' }))
+})
+
+test('the running environment overrides the file, and the environment variables override both', () => {
+    const file = { retrieval: { k: 5 }, environments: { production: { retrieval: { k: 6 } } } }
+
+    assert.equal(resolveBotConfig(file, {}).retrieval.k, 5)
+    assert.equal(resolveBotConfig(file, { NODE_ENV: 'production' }).retrieval.k, 6)
+    assert.equal(resolveBotConfig(file, { NODE_ENV: 'production', RETRIEVAL_K: '7' }).retrieval.k, 7)
+    assert.equal(resolveBotConfig(file, { RETRIEVAL_K: '' }).retrieval.k, 5)
+})
+
+test('every invalid setting is reported at once', () => {
+    const file = {
+        retrieval: { k: 0, minSimilarity: 'high', mmr: 'yes' },
+        context: { recentTurns: 0 },
+        rateLimits: { requestPerMinute: 3 },
+        environments: { staging: { model: { temprature: 1 } } }
+    }
+
+    assert.throws(() => resolveBotConfig(file, { OPENAI_RPM: 'many' }), error => {
+        for (const problem of [
+            'retrieval.k must be at least 1, got 0',
+            'retrieval.minSimilarity must be a number, got "high"',
+            'retrieval.mmr must be true or false, got "yes"',
+            'context.recentTurns must be at least 1, got 0',
+            'rateLimits.requestPerMinute is not a setting',
+            'environments.staging.model.temprature is not a setting',
+            'rateLimits.requestsPerMinute must be a number, got NaN (set by OPENAI_RPM=many)'
+        ]) {
+            assert.ok(error.message.includes(problem), `missing: ${problem}\n${error.message}`)
+        }
+        return true
+    })
+})
+
+test('settings defaulting to null may be set to null', () => {
+    assert.equal(resolveBotConfig({ timeouts: { providerMs: null } }, {}).timeouts.providerMs, null)
+    assert.throws(() => resolveBotConfig({ timeouts: { requestMs: null } }, {}), /timeouts\.requestMs must be an integer, got null/)
+    assert.throws(() => resolveBotConfig({ timeouts: { providerMs: 'soon' } }, {}), /timeouts\.providerMs must be an integer or null/)
+})
+
+test('settings are checked against each other', () => {
+    assert.throws(() => resolveBotConfig({ chunking: { chunkSize: 100, chunkOverlap: 100 } }, {}), /chunkOverlap must be smaller than chunking\.chunkSize/)
+    assert.throws(() => resolveBotConfig({ context: { windowTokens: 1000, maxContextTokens: 600 } }, {}), /must leave room in context\.windowTokens/)
+})
+
+test('templates must use their required variables and no unknown ones', () => {
+    const answer = ['Context: {context}', 'Question: {question}']
+    assert.throws(() => resolveBotConfig({ prompts: { answer } }, {}), /prompts\.answer is missing \{chat_history\}/)
+    assert.throws(() => resolveBotConfig({ prompts: { answer: [...answer, '{chat_history} {name}'] } }, {}), /uses unknown \{name\}/)
+    assert.throws(() => resolveBotConfig({ prompts: { answer: [...answer, '{chat_history} {'] } }, {}), /is not a valid template/)
+
+    const config = resolveBotConfig({ prompts: { answer: [...answer, 'History: {chat_history}', 'You are {persona}'] } }, {})
+    assert.equal(config.prompts.answer, 'Context: {context}\nQuestion: {question}\nHistory: {chat_history}\nYou are {persona}')
+})
+
+test('a rate limit of 0 turns that limit off', () => {
+    const budgets = getRateLimitConfig(resolveBotConfig({ rateLimits: { requestsPerMinute: 0, embeddingTokensPerMinute: 0 } }, {}))
+
+    assert.deepEqual(budgets, {
+        chat: { requestsPerMinute: Infinity, tokensPerMinute: 40000 },
+        embeddings: { requestsPerMinute: 3, tokensPerMinute: Infinity }
+    })
+})
@@ -1,6 +1,55 @@
 import { ChatMessageHistory, BufferMemory } from 'langchain/memory'
 import { PromptTemplate } from 'langchain/prompts'
 import { StringOutputParser } from 'langchain/schema/output_parser'
+import { maximalMarginalRelevance } from 'langchain/util/math'
+import { estimateTokens, truncateToTokens } from './tokens.js'
+import { classifyError, streamWithResilience, withResilience } from './resilience.js'
+
+/**
+ * The prompt templates ChatManager uses unless bot.config.json sets its own
+ * Besides the variables each chain fills in, every template can use {persona}
+ * and {escalation_reply}
+ */
+export const DEFAULT_PROMPTS = {
+    standaloneQuestion: `Given the following conversation history and a new question, convert the new question to a standalone question that captures the context of the conversation.
+
+Chat History: {chat_history}
+New Question: {question}
+
+Standalone question:`,
+
+    summary: `Progressively summarize the conversation between a user and {persona}, adding onto the previous summary and returning a new summary.
+
+Always keep any personal details the user shared (their name, goals, experience level, preferences) and any questions that are still open. Be brief.
+
+Current summary:
+{summary}
+
+New lines of conversation:
+{new_lines}
+
+New summary:`,
+
+    answer: `You are {persona} based on the provided context.
+
+Instructions:
+- Use the context and chat history to answer the question
+- Pay special attention to personal details shared in the chat history (like names, preferences, etc.)
+- Maintain context from previous exchanges
+- Respond in a friendly, conversational tone using the user's name when known
+- If the answer is in the context, provide specific details
+- If you're not certain, say "I'm not entirely sure about that"
+- For questions you cannot answer, respond: "{escalation_reply}"
+- Keep responses concise but informative
+- Include relevant examples when available in the context
+
+Previous conversation:
+{chat_history}
+
+Context: {context}
+Question: {question}
+Answer:`
+}
 
 /**
  * ChatManager Class
@@ -11,13 +60,70 @@ export class ChatManager {
     /**
      * Initialize the ChatManager with necessary services
      * @param {OpenAIService} openAIService - Service for interacting with OpenAI
-     * @param {SupabaseVectorStore} vectorStore - Store for document embeddings
-     * @param {RateLimiter} rateLimiter - Rate limiter for API calls
+     * @param {VectorStore|HybridRetriever} vectorStore - Searched with similaritySearchWithScore for relevant chunks
+     * @param {RateLimiter} rateLimiter - Rate limiter for chat model calls
+     * @param {Object} [options] - Retrieval options
+     * @param {number} [options.retrieverK] - Chunks passed to the answer prompt
+     * @param {number} [options.minSimilarity] - Chunks scoring below this are ignored
+     * @param {boolean} [options.useMMR] - Re-rank candidates for diversity with maximal marginal relevance
+     * @param {number} [options.mmrFetchK] - Candidates fetched before MMR picks retrieverK of them
+     * @param {number} [options.mmrLambda] - MMR trade-off: 1 is pure relevance, 0 pure diversity
+     * @param {AnswerCache} [options.answerCache] - Reuses answers to near-duplicate standalone questions
+     * @param {number} [options.handoffSimilarity] - Answers whose best chunk scores below this offer a human handoff
+     * @param {string} [options.persona] - Who the bot is, completing "You are ..." in the answer prompt
+     * @param {string} [options.escalationContact] - Where unanswered questions are sent
+     * @param {Object} [options.filter] - Metadata every retrieved chunk must contain, e.g. { knowledgeBase: 'scrimba' }
+     * @param {RateLimiter} [options.embeddingRateLimiter] - Rate limiter for embedding calls; defaults to rateLimiter
+     * @param {number} [options.requestTimeoutMs] - Time limit for each non-streaming model or retrieval call
+     * @param {number} [options.contextWindowTokens] - The chat model's context window
+     * @param {number} [options.maxContextTokens] - Most tokens of retrieved context put in the answer prompt
+     * @param {number} [options.recentTurns] - Exchanges kept verbatim before they are summarized
+     * @param {number} [options.maxHistoryTokens] - Recent turns are summarized early beyond this size
+     * @param {Object} [options.prompts] - standaloneQuestion, summary and answer templates replacing DEFAULT_PROMPTS
      */
-    constructor(openAIService, vectorStore, rateLimiter) {
+    constructor(openAIService, vectorStore, rateLimiter, options = {}) {
         this.openAIService = openAIService
         this.vectorStore = vectorStore
         this.rateLimiter = rateLimiter
+        this.embeddingRateLimiter = options.embeddingRateLimiter ?? rateLimiter
+
+        // Number of document chunks to retrieve for each question
+        this.retrieverK = options.retrieverK ?? 4
+
+        // The bot this manager answers as; the filter keeps retrieval to its knowledge base
+        this.persona = options.persona ?? 'a helpful and enthusiastic support bot who can answer questions about Scrimba'
+        this.escalationContact = options.escalationContact ?? 'help@scrimba.com'
+        this.filter = options.filter
+
+        // Chunks below this similarity are treated as unrelated; when none are
+        // left the answer chain is skipped and the escalation reply is returned
+        this.minSimilarity = options.minSimilarity ?? 0.75
+        this.escalationReply = `I'm sorry, I don't know the answer to that. Please email ${this.escalationContact} for assistance`
+
+        // Optional MMR re-ranking; costs one extra embedding request per question
+        this.useMMR = options.useMMR ?? false
+        this.mmrFetchK = options.mmrFetchK ?? 12
+        this.mmrLambda = options.mmrLambda ?? 0.7
+
+        // Turns the bot could not answer confidently offer a support ticket instead
+        this.handoffSimilarity = options.handoffSimilarity ?? 0.8
+
+        // Optional cache shared between threads; only used for history-independent questions
+        this.answerCache = options.answerCache ?? null
+
+        // Time limit for each non-streaming model or retrieval call
+        this.requestTimeoutMs = options.requestTimeoutMs ?? 30000
+
+        // Token budget for the answer prompt (gpt-3.5-turbo has a 4096 token window)
+        this.contextWindowTokens = options.contextWindowTokens ?? 4096
+        this.maxContextTokens = options.maxContextTokens ?? 1000
+
+        // Conversation memory: the last few turns are kept verbatim, older ones are
+        // folded into a running summary once there are too many or they get too long
+        this.recentTurns = options.recentTurns ?? 4
+        this.maxHistoryTokens = options.maxHistoryTokens ?? 1000
+        this.historySummary = ''
+        this.summarizedMessageCount = 0
 
         // Initialize chat history storage
         this.chatHistory = new ChatMessageHistory()
@@ -29,186 +135,490 @@ export class ChatManager {
             returnMessages: true,
         })
 
+        // Prompt templates; the persona and escalation reply are filled in as partials,
+        // so braces in them are kept as they are
+        const prompts = { ...DEFAULT_PROMPTS, ...options.prompts }
+        const partialVariables = { persona: this.persona, escalation_reply: this.escalationReply }
+
         // Initialize prompt template for converting questions to standalone format
         this.standaloneQuestionTemplate = new PromptTemplate({
-            template: `Given the following conversation history and a new question, convert the new question to a standalone question that captures the context of the conversation.
-
-Chat History: {chat_history}
-New Question: {question}
+            template: prompts.standaloneQuestion,
+            inputVariables: ["chat_history", "question"],
+            partialVariables
+        })
 
-Standalone question:`,
-            inputVariables: ["chat_history", "question"]
+        // Initialize prompt template for condensing older turns into the running summary
+        this.summaryTemplate = new PromptTemplate({
+            template: prompts.summary,
+            inputVariables: ["summary", "new_lines"],
+            partialVariables
         })
 
         // Initialize prompt template for generating answers
         this.answerTemplate = new PromptTemplate({
-            template: `You are a helpful and enthusiastic support bot who can answer questions about Scrimba based on the provided context.
-
-Instructions:
-- Use the context and chat history to answer the question
-- Pay special attention to personal details shared in the chat history (like names, preferences, etc.)
-- Maintain context from previous exchanges
-- Respond in a friendly, conversational tone using the user's name when known
-- If the answer is in the context, provide specific details
-- If you're not certain, say "I'm not entirely sure about that"
-- For questions you cannot answer, respond: "I'm sorry, I don't know the answer to that. Please email help@scrimba.com for assistance"
-- Keep responses concise but informative
-- Include relevant examples when available in the context
-
-Previous conversation:
-{chat_history}
-
-Context: {context}
-Question: {question}
-Answer:`,
-            inputVariables: ["chat_history", "context", "question"]
+            template: prompts.answer,
+            inputVariables: ["chat_history", "context", "question"],
+            partialVariables
         })
     }
 
     /**
      * Process user input and generate AI response
+     * Consumes the streaming API and resolves with the final formatted answer
      * @param {string} question - The user's question
-     * @returns {Promise<string>} The AI's response
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Cancels the turn
+     * @returns {Promise<{answer: string, sources: Array<Object>}>} The AI's answer and the chunks it was based on
      */
-    async processUserInput(question) {
+    async processUserInput(question, options = {}) {
+        let result = { answer: '', sources: [] }
+        for await (const event of this.streamUserInput(question, options)) {
+            if (event.type === 'done' || event.type === 'error') {
+                result = { answer: event.response, sources: event.sources }
+            }
+        }
+        return result
+    }
+
+    /**
+     * Process user input and stream the AI response as it is generated
+     * Yields { type: 'wait', waitMs } when a model call has to queue for the rate
+     * limit, { type: 'token', token } for each chunk of the answer, then a single
+     * { type: 'done', response, sources, standaloneQuestion } with the validated and
+     * formatted answer, the retrieved chunks and the question they were retrieved
+     * for once the stream finishes (with noContext: true when
+     * no chunk cleared minSimilarity and the escalation reply was returned, or
+     * cached: true when a near-duplicate question's answer was reused, and
+     * handoff: { reason } when the user should be offered a support ticket), or
+     * { type: 'error', response, sources, failureType, retryAfter } with a
+     * user-facing message for the kind of failure (retryAfter is the number of
+     * seconds to wait, when known). An aborted turn ends without an event and
+     * leaves the history untouched. With replaceLastTurn the question is
+     * answered against the history minus its latest exchange, which the answer
+     * replaces; if the turn fails or is aborted, that exchange is kept.
+     * @param {string} question - The user's question
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Cancels the turn, including queued waits and model calls
+     * @param {boolean} [options.skipCache] - Generate a fresh answer rather than reuse a cached one
+     * @param {boolean} [options.replaceLastTurn] - Answer in place of the latest exchange (edit and regenerate)
+     * @returns {AsyncGenerator<Object>} Stream of answer events
+     */
+    async *streamUserInput(question, { signal, skipCache = false, replaceLastTurn = false } = {}) {
+        const replaced = replaceLastTurn ? await this.rewindLastTurn() : null
+        let answered = false
         try {
-            // Wait for rate limiter before proceeding
-            await this.rateLimiter.waitForToken()
-            
-            return await this.withRetry(async () => {
-                // Set up retriever for finding relevant documents
-                const retriever = this.vectorStore.asRetriever()
-                const llm = this.openAIService.chatModel
+            const llm = this.openAIService.chatModel
+
+            // A first question has no history to resolve, so it is already standalone
+            const hasHistory = await this.hasHistory()
+
+            // Each model call books its own tokens on the shared budget when it is sent
 
-                // Get formatted chat history
-                const chatHistoryText = await this.formatChatHistory()
+            // Fold older turns into the summary, then get formatted chat history
+            yield* this.summarizeOlderTurns(signal)
+            const chatHistoryText = await this.formatChatHistory()
 
+            let standaloneQuestion = question.trim()
+            if (hasHistory) {
                 // Create standalone question chain
                 const standaloneChain = this.standaloneQuestionTemplate
                     .pipe(llm)
                     .pipe(new StringOutputParser())
 
                 // Generate standalone question with context
-                const standaloneQuestion = await this.withRetry(async () => {
-                    await this.delay(1000) // Rate limiting delay
+                const tokens = this.estimateCallTokens(this.standaloneQuestionTemplate, chatHistoryText, question)
+                yield* this.announceWait(tokens)
+                standaloneQuestion = await withResilience(async attemptSignal => {
                     return await standaloneChain.invoke({
                         question: question,
                         chat_history: chatHistoryText
-                    })
-                })
+                    }, { signal: attemptSignal })
+                }, this.getResilienceOptions(signal, tokens))
+            }
 
-                await this.delay(1000) // Rate limiting delay
+            // Answer repeats from the cache, but only when the question did not
+            // depend on the conversation (first turn, or left unchanged by the rephrase)
+            let cacheEmbedding = null
+            if (this.answerCache && !skipCache && (!hasHistory || this.isSameQuestion(question, standaloneQuestion))) {
+                const tokens = estimateTokens(standaloneQuestion)
+                yield* this.announceWait(tokens, this.embeddingRateLimiter)
+                cacheEmbedding = await withResilience(async () => {
+                    return await this.answerCache.embed(standaloneQuestion)
+                }, this.getResilienceOptions(signal, tokens, this.embeddingRateLimiter))
+                const cached = await this.answerCache.lookup(cacheEmbedding)
+                if (cached) {
+                    // A turn stopped at the last moment must not reach the history
+                    signal?.throwIfAborted()
+                    await this.updateChatHistory(question, cached.response)
+                    answered = true
+                    yield { type: 'done', response: cached.response, sources: cached.sources, standaloneQuestion, cached: true }
+                    return
+                }
+            }
 
-                // Retrieve relevant documents
-                const documents = await this.withRetry(async () => {
-                    return await retriever.invoke(standaloneQuestion)
-                })
+            // Retrieve relevant documents along with their similarity scores
+            const results = yield* this.retrieveRelevant(standaloneQuestion, signal)
 
-                // Combine and trim document content
-                const combinedDocs = this.combineDocuments(documents)
-                const trimmedContext = this.trimContext(combinedDocs)
+            // Nothing related to the question: skip the answer chain entirely
+            if (results.length === 0) {
+                signal?.throwIfAborted()
+                await this.updateChatHistory(question, this.escalationReply)
+                answered = true
+                yield {
+                    type: 'done',
+                    response: this.escalationReply,
+                    sources: [],
+                    standaloneQuestion,
+                    noContext: true,
+                    handoff: { reason: 'no_context' }
+                }
+                return
+            }
 
-                // Create answer chain
-                const answerChain = this.answerTemplate
-                    .pipe(llm)
-                    .pipe(new StringOutputParser())
+            const documents = results.map(([document]) => document)
+            const sources = this.buildSources(results)
 
-                await this.delay(1000) // Rate limiting delay
+            // Combine and trim document content
+            const combinedDocs = this.combineDocuments(documents)
+            const trimmedContext = this.trimContext(combinedDocs, this.getContextBudget(chatHistoryText, standaloneQuestion))
 
-                // Generate response
-                const response = await this.withRetry(async () => {
-                    return await answerChain.invoke({
-                        context: trimmedContext,
-                        question: standaloneQuestion,
-                        chat_history: chatHistoryText
-                    })
-                })
+            // Create answer chain
+            const answerChain = this.answerTemplate
+                .pipe(llm)
+                .pipe(new StringOutputParser())
+
+            // Stream response tokens as they arrive
+            let response = ''
+            const answerTokens = this.estimateCallTokens(this.answerTemplate, trimmedContext, standaloneQuestion, chatHistoryText)
+            yield* this.announceWait(answerTokens)
+            const tokens = streamWithResilience(async attemptSignal => {
+                return await answerChain.stream({
+                    context: trimmedContext,
+                    question: standaloneQuestion,
+                    chat_history: chatHistoryText
+                }, { signal: attemptSignal })
+            }, this.getResilienceOptions(signal, answerTokens))
+            for await (const token of tokens) {
+                response += token
+                yield { type: 'token', token }
+            }
 
-                // Update chat history with new interaction
-                await this.updateChatHistory(question, response)
+            // Update chat history with new interaction
+            signal?.throwIfAborted()
+            await this.updateChatHistory(question, response)
+            answered = true
 
-                // Format and return response
-                return this.formatResponse(this.validateResponse(response))
-            })
+            // Format and return response
+            const formattedResponse = this.formatResponse(this.validateResponse(response))
+            const handoffReason = this.getHandoffReason(response, results)
+            if (handoffReason) {
+                yield { type: 'done', response: formattedResponse, sources, standaloneQuestion, handoff: { reason: handoffReason } }
+                return
+            }
+
+            // Only confident answers are worth reusing
+            if (cacheEmbedding) {
+                this.answerCache.store({
+                    question: standaloneQuestion,
+                    embedding: cacheEmbedding,
+                    response: formattedResponse,
+                    sources,
+                    documents
+                })
+            }
+            yield { type: 'done', response: formattedResponse, sources, standaloneQuestion }
         } catch (error) {
+            const failureType = signal?.aborted ? 'aborted' : error.failureType ?? classifyError(error)
+            if (failureType === 'aborted') return
+
             console.error('Error in processUserInput:', error)
-            if (error.message?.includes('Rate limit')) {
-                return "I'm currently experiencing high demand. Please wait 20 seconds before trying again."
+            const retryAfter = this.getRetryAfter(error, failureType)
+            yield {
+                type: 'error',
+                response: this.getErrorMessage(failureType, retryAfter),
+                sources: [],
+                failureType,
+                retryAfter
             }
-            return "I apologize, but I'm having trouble processing your question. Please try again shortly."
+        } finally {
+            if (replaced && !answered) this.restoreHistory(replaced)
         }
     }
 
     /**
-     * Add a delay between operations
-     * @param {number} ms - Milliseconds to delay
+     * Options for withResilience on one of this turn's model and retrieval calls
+     * @param {AbortSignal} [signal] - Cancels the turn
+     * @param {number} [tokens] - Estimated tokens of the call, booked on the shared budget before each attempt
+     * @param {RateLimiter} [rateLimiter] - The call's budget: rateLimiter for chat calls, embeddingRateLimiter for embeddings
+     * @returns {Object} Resilience options
      */
-    async delay(ms) {
-        await new Promise(resolve => setTimeout(resolve, ms))
+    getResilienceOptions(signal, tokens, rateLimiter = this.rateLimiter) {
+        return {
+            signal,
+            timeoutMs: this.requestTimeoutMs,
+            circuitBreaker: this.openAIService.circuitBreaker,
+            rateLimiter,
+            tokens
+        }
     }
 
     /**
-     * Retry an operation multiple times with exponential backoff
-     * @param {Function} operation - The operation to retry
-     * @param {number} maxRetries - Maximum number of retry attempts
-     * @param {number} initialDelay - Initial delay between retries in milliseconds
+     * Tell the caller how long the next call will queue for the shared
+     * budget, so it can show a countdown; the call then books it itself
+     * @param {number} tokens - Estimated tokens of the call
+     * @param {RateLimiter} [rateLimiter] - The call's budget
+     * @returns {Generator<Object>} A { type: 'wait', waitMs } event when the call has to queue
      */
-    async withRetry(operation, maxRetries = 3, initialDelay = 20000) {
-        let lastError
-        for (let i = 0; i < maxRetries; i++) {
-            try {
-                return await operation()
-            } catch (error) {
-                lastError = error
-                
-                if (error.response?.status === 429 || error.message?.includes('Rate limit')) {
-                    const waitMatch = error.message?.match(/try again in (\d+)s/)
-                    const waitTime = waitMatch ? parseInt(waitMatch[1]) * 1000 : initialDelay * Math.pow(2, i)
-                    
-                    console.log(`Rate limit hit, waiting ${waitTime/1000} seconds... (Attempt ${i + 1}/${maxRetries})`)
-                    await this.delay(waitTime)
-                    continue
-                }
-                throw error
-            }
+    *announceWait(tokens, rateLimiter = this.rateLimiter) {
+        const waitMs = rateLimiter.getWaitTime(tokens)
+        if (waitMs > 0) yield { type: 'wait', waitMs }
+    }
+
+    /**
+     * Estimate the tokens a chat model call can use: its prompt plus the
+     * longest reply, which is what the API counts against the budget
+     * @param {PromptTemplate} template - The call's prompt template
+     * @param {...string} inputs - The text filled into the template
+     * @returns {number} Estimated tokens
+     */
+    estimateCallTokens(template, ...inputs) {
+        const promptTokens = inputs.reduce((sum, input) => sum + estimateTokens(input), estimateTokens(template.template))
+        return promptTokens + (this.openAIService.chatModel.maxTokens ?? 500)
+    }
+
+    /**
+     * Seconds the user should wait before asking again
+     * @param {Error} error - The error that ended the turn
+     * @param {string} failureType - Its failure type
+     * @returns {number|null} Seconds to wait, or null when waiting won't help or the wait is unknown
+     */
+    getRetryAfter(error, failureType) {
+        if (failureType === 'rate_limit') {
+            const waitMs = Math.max(this.rateLimiter.getWaitTime(), this.embeddingRateLimiter.getWaitTime(), error.retryAfterMs ?? 0)
+            return Math.max(1, Math.ceil(waitMs / 1000))
+        }
+        if (failureType === 'circuit_open') {
+            return Math.max(1, Math.ceil((error.retryAfterMs ?? 0) / 1000))
+        }
+        return null
+    }
+
+    /**
+     * Map a failure to a user-facing message
+     * @param {string} failureType - The failure's type from classifyError
+     * @param {number|null} [retryAfter] - Seconds until the user can ask again
+     * @returns {string} Message to show the user
+     */
+    getErrorMessage(failureType, retryAfter = null) {
+        switch (failureType) {
+            case 'rate_limit':
+                return `I'm currently experiencing high demand. Please wait ${retryAfter ?? 20} seconds before trying again.`
+            case 'circuit_open':
+                return `The AI service is having repeated problems, so I've paused for a moment. Please try again in ${retryAfter ?? 30} seconds.`
+            case 'timeout':
+                return "The AI service took too long to respond. Please try asking again."
+            case 'server':
+                return "The AI service is having problems right now. Please try again in a few minutes."
+            case 'auth':
+                return `I can't reach the AI service because of a configuration problem on our side. Please email ${this.escalationContact} if this keeps happening.`
+            default:
+                return "I apologize, but I'm having trouble processing your question. Please try again shortly."
         }
-        throw lastError
     }
 
     /**
      * Format chat history into readable text
+     * Older turns are represented by the running summary, recent ones verbatim
      * @returns {Promise<string>} Formatted chat history
      */
     async formatChatHistory() {
         const messages = await this.chatHistory.getMessages()
         if (!messages || messages.length === 0) return "No previous conversation."
-        
+
+        const recentText = this.formatMessages(messages.slice(this.summarizedMessageCount))
+        if (!this.historySummary) return recentText
+
+        return `Summary of earlier conversation: ${this.historySummary}\n\n${recentText}`
+    }
+
+    /**
+     * Format messages as "User: ..." / "Assistant: ..." lines
+     * @param {Array} messages - Messages to format
+     * @returns {string} Formatted messages
+     */
+    formatMessages(messages) {
         return messages.map(msg => {
             const role = msg.type === 'human' ? 'User' : 'Assistant'
             return `${role}: ${msg.content}`
         }).join('\n')
     }
 
+    /**
+     * Fold turns older than the last `recentTurns` into the running summary
+     * Also folds recent turns, oldest first, while they exceed `maxHistoryTokens`,
+     * always keeping the latest turn verbatim
+     * @param {AbortSignal} [signal] - Cancels the summary call
+     * @returns {AsyncGenerator<Object>} A wait event when the summary call has to queue
+     */
+    async *summarizeOlderTurns(signal) {
+        const messages = await this.chatHistory.getMessages()
+        const unsummarized = messages.slice(this.summarizedMessageCount)
+
+        let foldCount = Math.max(0, unsummarized.length - this.recentTurns * 2)
+        while (
+            foldCount < unsummarized.length - 2 &&
+            estimateTokens(this.formatMessages(unsummarized.slice(foldCount))) > this.maxHistoryTokens
+        ) {
+            foldCount += 2
+        }
+        if (foldCount === 0) return
+
+        try {
+            const summaryChain = this.summaryTemplate
+                .pipe(this.openAIService.chatModel)
+                .pipe(new StringOutputParser())
+
+            const summary = this.historySummary || 'None yet.'
+            const newLines = this.formatMessages(unsummarized.slice(0, foldCount))
+            const tokens = this.estimateCallTokens(this.summaryTemplate, summary, newLines)
+            yield* this.announceWait(tokens)
+            this.historySummary = (await withResilience(async attemptSignal => {
+                return await summaryChain.invoke({
+                    summary,
+                    new_lines: newLines
+                }, { signal: attemptSignal })
+            }, this.getResilienceOptions(signal, tokens))).trim()
+            this.summarizedMessageCount += foldCount
+        } catch (error) {
+            if (signal?.aborted) throw error
+
+            // Answering matters more than compacting; try again next turn
+            console.error('Error summarizing chat history:', error)
+        }
+    }
+
+    /**
+     * Work out how many tokens of retrieved context fit in the answer prompt
+     * alongside the template, chat history, question and the reply itself
+     * @param {string} chatHistoryText - Formatted chat history
+     * @param {string} question - The standalone question
+     * @returns {number} Token budget for the context
+     */
+    getContextBudget(chatHistoryText, question) {
+        const promptTokens = estimateTokens(this.answerTemplate.template) +
+            estimateTokens(chatHistoryText) +
+            estimateTokens(question)
+        const replyTokens = this.openAIService.chatModel.maxTokens ?? 500
+        const available = this.contextWindowTokens - promptTokens - replyTokens
+        return Math.max(0, Math.min(this.maxContextTokens, available))
+    }
+
     /**
      * Combine multiple documents into a single text
      * @param {Array} docs - Array of documents
      * @returns {string} Combined document text
      */
     combineDocuments(docs) {
-        return docs.map((doc, index) => `[Document ${index + 1}]:\n${doc.pageContent}`).join('\n\n')
+        return docs.map((doc, index) => {
+            const section = doc.metadata?.section ? `, ${doc.metadata.section}` : ''
+            const source = doc.metadata?.source ? ` (${doc.metadata.source}${section}, chunk ${doc.metadata.chunkIndex})` : ''
+            return `[Document ${index + 1}]${source}:\n${doc.pageContent}`
+        }).join('\n\n')
+    }
+
+    /**
+     * Search the knowledge base and keep the chunks an answer would be built from
+     * @param {string} standaloneQuestion - The standalone question
+     * @param {AbortSignal} [signal] - Cancels the search
+     * @returns {AsyncGenerator<Object, Array>} Wait events; returns the selected [document, similarity, foundBy] results
+     */
+    async *retrieveRelevant(standaloneQuestion, signal) {
+        const tokens = estimateTokens(standaloneQuestion)
+        yield* this.announceWait(tokens, this.embeddingRateLimiter)
+        const candidates = await withResilience(async () => {
+            const fetchK = this.useMMR ? Math.max(this.mmrFetchK, this.retrieverK) : this.retrieverK
+            return await this.vectorStore.similaritySearchWithScore(standaloneQuestion, fetchK, this.filter)
+        }, this.getResilienceOptions(signal, tokens, this.embeddingRateLimiter))
+        return yield* this.selectRelevant(standaloneQuestion, candidates, signal)
     }
 
     /**
-     * Trim context to maximum length
+     * Drop candidates below the similarity cutoff and optionally re-rank the rest with MMR
+     * Keyword matches are kept whatever their similarity: exact terms such as
+     * "Townhall" or "#code-help" often embed far from the question asking about them
+     * @param {string} query - The standalone question
+     * @param {Array} candidates - [document, similarity, foundBy] results from the retriever
+     * @param {AbortSignal} [signal] - Cancels the embedding request
+     * @returns {AsyncGenerator<Object, Array>} A wait event when the MMR embedding has to queue; returns up to retrieverK of the candidates
+     */
+    async *selectRelevant(query, candidates, signal) {
+        const relevant = candidates.filter(([, similarity, foundBy]) => {
+            if (foundBy?.includes('keyword')) return true
+            return typeof similarity === 'number' && similarity >= this.minSimilarity
+        })
+
+        if (!this.useMMR || relevant.length <= this.retrieverK) {
+            return relevant.slice(0, this.retrieverK)
+        }
+
+        // Embed the query with the candidates in one request so MMR can compare them
+        const texts = [query, ...relevant.map(([document]) => document.pageContent)]
+        const tokens = texts.reduce((sum, text) => sum + estimateTokens(text), 0)
+        yield* this.announceWait(tokens, this.embeddingRateLimiter)
+        const [queryEmbedding, ...embeddings] = await withResilience(async () => {
+            return await this.openAIService.embeddings.embedDocuments(texts)
+        }, this.getResilienceOptions(signal, tokens, this.embeddingRateLimiter))
+        const selected = maximalMarginalRelevance(queryEmbedding, embeddings, this.mmrLambda, this.retrieverK)
+        return selected.map(index => relevant[index])
+    }
+
+    /**
+     * Decide whether a turn should be handed off to a human
+     * @param {string} response - The raw answer
+     * @param {Array} results - [document, similarity] pairs the answer was built from
+     * @returns {string|null} 'unanswered' or 'low_confidence', or null when the answer can stand
+     */
+    getHandoffReason(response, results) {
+        // The answer prompt tells the model to use these exact phrases
+        if (/don't know the answer/i.test(response) || response.toLowerCase().includes(this.escalationContact.toLowerCase())) {
+            return 'unanswered'
+        }
+        if (/not entirely sure/i.test(response)) {
+            return 'low_confidence'
+        }
+
+        const bestSimilarity = Math.max(...results.map(([, similarity]) => similarity ?? 0))
+        return bestSimilarity < this.handoffSimilarity ? 'low_confidence' : null
+    }
+
+    /**
+     * Describe retrieved chunks so an answer can cite where it came from
+     * @param {Array} results - Array of [document, similarity] pairs
+     * @returns {Array<Object>} Sources with id, source, chunkIndex, contentHash, similarity and content
+     */
+    buildSources(results) {
+        return results.map(([doc, similarity]) => {
+            const source = doc.metadata?.source ?? 'unknown'
+            const chunkIndex = doc.metadata?.chunkIndex ?? null
+            return {
+                id: `${source}#${chunkIndex}`,
+                source,
+                chunkIndex,
+                contentHash: doc.metadata?.contentHash ?? null,
+                similarity,
+                content: doc.pageContent
+            }
+        })
+    }
+
+    /**
+     * Trim context to a token budget
      * @param {string} context - Context text to trim
-     * @param {number} maxLength - Maximum length allowed
+     * @param {number} maxTokens - Maximum estimated tokens allowed
      * @returns {string} Trimmed context
      */
-    trimContext(context, maxLength = 4000) {
-        if (context.length > maxLength) {
-            return context.slice(0, maxLength) + "..."
-        }
-        return context
+    trimContext(context, maxTokens = this.maxContextTokens) {
+        return truncateToTokens(context, maxTokens)
     }
 
     /**
@@ -224,14 +634,27 @@ Answer:`,
     }
 
     /**
-     * Format the response with proper markdown
+     * Tidy the model's Markdown for rendering in the chat
+     * Bolds "Note:", "Important:" and "Warning:" labels outside code, and
+     * closes a code block left open by an answer cut off at maxTokens
      * @param {string} response - Response to format
-     * @returns {string} Formatted response
+     * @returns {string} Formatted Markdown
      */
     formatResponse(response) {
-        return response
-            .replace(/`([^`]+)`/g, '```$1```')
-            .replace(/\b(Note|Important|Warning):/g, '**$1:**')
+        let fence = null
+        const lines = response.trim().split('\n').map(line => {
+            const marker = line.match(/^\s*(`{3,}|~{3,})/)?.[1]
+            if (marker && !fence) {
+                fence = marker
+            } else if (marker && marker[0] === fence[0] && marker.length >= fence.length) {
+                fence = null
+            } else if (!fence) {
+                return line.replace(/(?<![\w*`])(Note|Important|Warning):(?!\*)/g, '**$1:**')
+            }
+            return line
+        })
+        if (fence) lines.push(fence)
+        return lines.join('\n')
     }
 
     /**
@@ -252,14 +675,91 @@ Answer:`,
     }
 
     /**
-     * Clear chat history and reset memory
+     * Set aside the latest exchange, so an edited or regenerated question is
+     * answered as if the abandoned one had never been asked
+     * The summary never covers the latest exchange (it is always kept
+     * verbatim), so only the verbatim messages change
+     * @returns {Promise<Object|null>} The history as it was, for restoreHistory, or null when there was no exchange to remove
      */
-    async clearHistory() {
-        this.chatHistory = new ChatMessageHistory()
+    async rewindLastTurn() {
+        const messages = await this.chatHistory.getMessages()
+        const [question, answer] = messages.slice(-2)
+        if (question?.type !== 'human' || answer?.type !== 'ai') return null
+
+        const snapshot = {
+            messages: [...messages],
+            historySummary: this.historySummary,
+            summarizedMessageCount: this.summarizedMessageCount
+        }
+        const kept = messages.slice(0, -2)
+        this.setMessages(kept)
+        this.summarizedMessageCount = Math.min(this.summarizedMessageCount, kept.length)
+        return snapshot
+    }
+
+    /**
+     * Put back the history set aside by rewindLastTurn
+     * @param {Object} snapshot - The history returned by rewindLastTurn
+     */
+    restoreHistory(snapshot) {
+        this.setMessages(snapshot.messages)
+        this.historySummary = snapshot.historySummary
+        this.summarizedMessageCount = snapshot.summarizedMessageCount
+    }
+
+    /**
+     * Swap in a new message history, keeping the memory pointed at it
+     * @param {Array} messages - The verbatim messages
+     */
+    setMessages(messages) {
+        this.chatHistory = new ChatMessageHistory(messages)
         this.memory = new BufferMemory({
             chatHistory: this.chatHistory,
             memoryKey: "chat_history",
             returnMessages: true,
         })
     }
+
+    /**
+     * Replace the chat history with previously saved messages
+     * @param {Array<Object>} messages - Messages with a role ('human' or 'ai') and content
+     */
+    async loadHistory(messages) {
+        await this.clearHistory()
+        for (const message of messages) {
+            await this.chatHistory.addMessage({
+                type: message.role,
+                content: message.content
+            })
+        }
+    }
+
+    /**
+     * Check whether there is any earlier conversation to resolve a question against
+     * @returns {Promise<boolean>}
+     */
+    async hasHistory() {
+        const messages = await this.chatHistory.getMessages()
+        return messages.length > 0 || Boolean(this.historySummary)
+    }
+
+    /**
+     * Compare two questions ignoring case, punctuation and spacing
+     * @param {string} a - First question
+     * @param {string} b - Second question
+     * @returns {boolean}
+     */
+    isSameQuestion(a, b) {
+        const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+        return normalize(a) === normalize(b)
+    }
+
+    /**
+     * Clear chat history and reset memory
+     */
+    async clearHistory() {
+        this.setMessages([])
+        this.historySummary = ''
+        this.summarizedMessageCount = 0
+    }
 }
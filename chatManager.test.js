@@ -0,0 +1,144 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Document } from 'langchain/document'
+import { ChatManager } from './chatManager.js'
+import { HybridRetriever } from './hybridRetriever.js'
+import { FakeChatModel, FakeEmbeddings } from './providers.js'
+import { RateLimiter } from './rateLimit.js'
+
+const chunk = (chunkIndex, pageContent) => new Document({ pageContent, metadata: { source: 'faq.txt', chunkIndex } })
+
+/**
+ * Run one of ChatManager's generator steps to the end
+ * @param {AsyncGenerator} generator - The step
+ * @returns {Promise<Object>} { events, value } - what it yielded and what it returned
+ */
+async function run(generator) {
+    const events = []
+    let step = await generator.next()
+    while (!step.done) {
+        events.push(step.value)
+        step = await generator.next()
+    }
+    return { events, value: step.value }
+}
+
+/**
+ * A ChatManager over a retriever, with the fake chat model and no rate limit
+ * @param {Object} retriever - Anything with similaritySearchWithScore
+ * @param {Object} [options] - ChatManager options
+ * @returns {ChatManager}
+ */
+function createChatManager(retriever, options = {}) {
+    const openAIService = { chatModel: new FakeChatModel(), embeddings: new FakeEmbeddings() }
+    return new ChatManager(openAIService, retriever, new RateLimiter({ requestsPerMinute: Infinity }), options)
+}
+
+test('keyword matches survive the similarity cutoff that vector-only results must clear', async () => {
+    const townhall = chunk(0, 'The Townhall is a monthly live stream.')
+    const close = chunk(1, 'Scrimba streams events every month.')
+    const far = chunk(2, 'Refunds are handled by email.')
+    const retriever = new HybridRetriever({
+        vectorStore: {
+            embeddings: new FakeEmbeddings(),
+            similaritySearchVectorWithScore: async () => [[close, 0.9], [far, 0.3]]
+        },
+        storageService: {
+            keywordSearch: async () => [{ content: townhall.pageContent, metadata: townhall.metadata, similarity: 0.2, rank: 1 }]
+        }
+    })
+    const chatManager = createChatManager(retriever, { minSimilarity: 0.75 })
+
+    const candidates = await retriever.similaritySearchWithScore('What is the Townhall?', 4)
+    const { value: selected } = await run(chatManager.selectRelevant('What is the Townhall?', candidates))
+
+    assert.deepEqual(selected.map(([document]) => document.metadata.chunkIndex).sort(), [0, 1])
+})
+
+test('the MMR embedding announces its wait when the embedding budget is spent', async () => {
+    const embeddingRateLimiter = new RateLimiter({ requestsPerMinute: 1 })
+    embeddingRateLimiter.tryRemoveToken()
+    const chatManager = createChatManager(null, { useMMR: true, retrieverK: 1, minSimilarity: 0, embeddingRateLimiter })
+    const candidates = [[chunk(0, 'First chunk'), 0.9], [chunk(1, 'Second chunk'), 0.8]]
+
+    const selection = chatManager.selectRelevant('Which chunk?', candidates)
+    const { value: event } = await selection.next()
+    await selection.return()
+
+    assert.equal(event.type, 'wait')
+    assert.ok(event.waitMs > 0)
+})
+
+/**
+ * A retriever that always finds the same chunk, or fails once told to
+ * @returns {Object} The retriever, with a fail flag
+ */
+function createStubRetriever() {
+    const retriever = {
+        fail: false,
+        similaritySearchWithScore: async () => {
+            if (retriever.fail) throw Object.assign(new Error('Bad request'), { status: 400 })
+            return [[chunk(0, 'The Townhall is a monthly live stream.'), 0.9]]
+        }
+    }
+    return retriever
+}
+
+/**
+ * Ask questions in turn, ignoring the answer events
+ * @param {ChatManager} chatManager - The ChatManager
+ * @param {...string} questions - The questions
+ */
+async function ask(chatManager, ...questions) {
+    for (const question of questions) {
+        await run(chatManager.streamUserInput(question))
+    }
+}
+
+const contents = async chatManager => (await chatManager.chatHistory.getMessages()).map(message => message.content)
+
+test('a replaced turn is answered in place of the latest exchange', async () => {
+    const chatManager = createChatManager(createStubRetriever())
+    await ask(chatManager, 'What is the Townhall?', 'When is it?')
+
+    await run(chatManager.streamUserInput('Who hosts it?', { replaceLastTurn: true }))
+
+    const history = await contents(chatManager)
+    assert.equal(history.length, 4)
+    assert.deepEqual([history[0], history[2]], ['What is the Townhall?', 'Who hosts it?'])
+})
+
+test('a failed replacement puts the original exchange back', async () => {
+    const retriever = createStubRetriever()
+    const chatManager = createChatManager(retriever)
+    await ask(chatManager, 'What is the Townhall?', 'When is it?')
+    const before = await contents(chatManager)
+
+    retriever.fail = true
+    const { events } = await run(chatManager.streamUserInput('Who hosts it?', { replaceLastTurn: true }))
+
+    assert.equal(events.at(-1).type, 'error')
+    assert.deepEqual(await contents(chatManager), before)
+})
+
+test('rewindLastTurn sets aside the latest exchange and restoreHistory brings back the whole history', async () => {
+    const chatManager = createChatManager(createStubRetriever())
+    assert.equal(await chatManager.rewindLastTurn(), null)
+
+    await ask(chatManager, 'What is the Townhall?', 'When is it?')
+    chatManager.historySummary = 'The user asked about the Townhall.'
+    chatManager.summarizedMessageCount = 2
+    const before = await contents(chatManager)
+
+    const snapshot = await chatManager.rewindLastTurn()
+    assert.deepEqual(await contents(chatManager), before.slice(0, 2))
+    assert.equal(chatManager.historySummary, 'The user asked about the Townhall.')
+    assert.equal(chatManager.summarizedMessageCount, 2)
+
+    chatManager.historySummary = 'Changed by the replacement turn.'
+    chatManager.summarizedMessageCount = 0
+    chatManager.restoreHistory(snapshot)
+    assert.deepEqual(await contents(chatManager), before)
+    assert.equal(chatManager.historySummary, 'The user asked about the Townhall.')
+    assert.equal(chatManager.summarizedMessageCount, 2)
+})
@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+// Offline evaluation: runs the golden set through retrieval and the answer chain and scores the results
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { getProviderConfig, getStorageConfig, loadServerEnv } from './serverEnv.js'
+import { getChatConfig, getRateLimitConfig, getRetrievalConfig, loadBotConfig } from './botConfig.js'
+import { RateLimiter } from './rateLimit.js'
+import { OpenAIService } from './openAIService.js'
+import { ChatManager } from './chatManager.js'
+import { IngestionService } from './ingestionService.js'
+import { HybridRetriever } from './hybridRetriever.js'
+import { createStorage } from './storage.js'
+import { tokenizeWords } from './tokens.js'
+
+const rootDir = dirname(fileURLToPath(import.meta.url))
+
+const usage = `Usage: npm run evaluate -- [options]
+
+Options:
+  --golden <path>   Golden set of questions and expected facts (default: ./golden-set.json)
+  --knowledge-base <id>
+                    Knowledge base to search and answer as (default: the first in knowledge-base.json)
+  --out <path>      Where to write the JSON results (default: ./.data/evaluations/<timestamp>.json)
+  --k <n>           Chunks the answer path retrieves, scored for recall@k and MRR (default: RETRIEVAL_K)
+  --rpm <n>         Requests allowed per minute on each of the chat and embedding models
+                    (default: rateLimits in bot.config.json, unlimited with LLM_PROVIDER=fake)
+  --retrieval-only  Score retrieval without generating answers
+  -h, --help        Show this message`
+
+/**
+ * Parse command line options
+ * @returns {Object} The parsed options
+ */
+function parseOptions() {
+    const { values } = parseArgs({
+        options: {
+            golden: { type: 'string', default: './golden-set.json' },
+            'knowledge-base': { type: 'string' },
+            out: { type: 'string' },
+            k: { type: 'string' },
+            rpm: { type: 'string' },
+            'retrieval-only': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    })
+
+    const k = values.k === undefined ? null : parseInt(values.k, 10)
+    const rpm = values.rpm === undefined ? null : parseInt(values.rpm, 10)
+    if (k !== null && !(k > 0)) {
+        throw new Error('--k must be a positive integer')
+    }
+    if (rpm !== null && !(rpm > 0)) {
+        throw new Error('--rpm must be a positive integer')
+    }
+
+    return {
+        golden: values.golden,
+        knowledgeBase: values['knowledge-base'] ?? null,
+        out: values.out ?? `./.data/evaluations/${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+        k,
+        rpm,
+        retrievalOnly: values['retrieval-only'],
+        help: values.help
+    }
+}
+
+/**
+ * Read and validate the golden set
+ * Each question lists text snippets found in the chunks that answer it
+ * ("expected") and facts a good answer mentions ("keywords")
+ * @param {string} path - Path of the golden set file
+ * @returns {Promise<Array<Object>>} The golden questions
+ */
+async function loadGoldenSet(path) {
+    const { questions } = JSON.parse(await readFile(resolve(rootDir, path), 'utf8'))
+    if (!Array.isArray(questions) || questions.length === 0) {
+        throw new Error(`${path} must list at least one question under "questions"`)
+    }
+
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim())
+    questions.forEach((item, index) => {
+        if (typeof item.question !== 'string' || !item.question.trim()) {
+            throw new Error(`Question ${index + 1} in ${path} needs a "question"`)
+        }
+        if (!isStringList(item.expected ?? []) || !isStringList(item.keywords ?? [])) {
+            throw new Error(`"expected" and "keywords" of "${item.question}" must be lists of strings`)
+        }
+    })
+    return questions
+}
+
+/**
+ * Lowercase text and collapse whitespace so snippets match across line breaks
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Check whether a chunk the answer used holds an expected snippet
+ * @param {Object} source - A source of the answer, with its content
+ * @param {Object} item - The golden question
+ * @param {string} snippet - One of its expected snippets
+ * @returns {boolean}
+ */
+function containsSnippet(source, item, snippet) {
+    if (item.source && source.source !== item.source) return false
+    return normalize(source.content ?? '').includes(normalize(snippet))
+}
+
+/**
+ * Score the chunks the answer path kept against the question's expected chunks
+ * A turn that found no context scores zero, like a ranking without a relevant chunk
+ * @param {Object} item - The golden question
+ * @param {Array<Object>} sources - Sources of the answer in ranked order
+ * @param {number} k - Cut-off for recall and MRR
+ * @returns {Object} { recall, reciprocalRank, noContext, retrieved }
+ */
+function scoreRetrieval(item, sources, k) {
+    const expected = item.expected ?? []
+    const topK = sources.slice(0, k)
+    const isRelevant = source => expected.some(snippet => containsSnippet(source, item, snippet))
+
+    const found = expected.filter(snippet => topK.some(source => containsSnippet(source, item, snippet)))
+    const firstRelevant = topK.findIndex(isRelevant)
+
+    return {
+        recall: expected.length ? found.length / expected.length : null,
+        reciprocalRank: expected.length ? (firstRelevant === -1 ? 0 : 1 / (firstRelevant + 1)) : null,
+        noContext: sources.length === 0,
+        retrieved: topK.map(source => ({
+            source: source.source,
+            chunkIndex: source.chunkIndex,
+            similarity: source.similarity,
+            relevant: isRelevant(source)
+        }))
+    }
+}
+
+/**
+ * Score an answer: which expected facts it mentions, and how much of it is
+ * backed by the chunks it was given (a word-overlap proxy for faithfulness)
+ * @param {Object} item - The golden question
+ * @param {string} response - The final answer
+ * @param {Array<Object>} sources - Sources returned with the answer, including their content
+ * @returns {Object} { keywordRecall, missingKeywords, grounding }
+ */
+function scoreAnswer(item, response, sources) {
+    const keywords = item.keywords ?? []
+    const answer = normalize(response)
+    const missingKeywords = keywords.filter(keyword => !answer.includes(normalize(keyword)))
+
+    const contextWords = new Set(tokenizeWords(sources.map(source => source.content ?? '').join('\n')))
+    const answerWords = tokenizeWords(response)
+    const grounded = answerWords.filter(word => contextWords.has(word))
+
+    return {
+        keywordRecall: keywords.length ? (keywords.length - missingKeywords.length) / keywords.length : null,
+        missingKeywords,
+        grounding: answerWords.length ? grounded.length / answerWords.length : 0
+    }
+}
+
+/**
+ * Run only the retrieval step of the answer path, as a first question would
+ * @param {ChatManager} chatManager - A ChatManager without history
+ * @param {string} question - The question
+ * @returns {Promise<Array<Object>>} Sources an answer would be built from
+ */
+async function retrieveSources(chatManager, question) {
+    const retrieval = chatManager.retrieveRelevant(question.trim())
+    let step = await retrieval.next()
+    while (!step.done) step = await retrieval.next()
+    return chatManager.buildSources(step.value)
+}
+
+/**
+ * Wrap a retriever to time its searches
+ * @param {HybridRetriever} retriever - The retriever to wrap
+ * @param {Function} onSearch - Called with the duration of each search in milliseconds
+ * @returns {Object} A retriever for ChatManager
+ */
+function timeSearches(retriever, onSearch) {
+    return {
+        async similaritySearchWithScore(...args) {
+            const startedAt = performance.now()
+            try {
+                return await retriever.similaritySearchWithScore(...args)
+            } finally {
+                onSearch(performance.now() - startedAt)
+            }
+        }
+    }
+}
+
+/**
+ * Ask one question on a fresh ChatManager and time the answer
+ * @param {ChatManager} chatManager - A ChatManager without history
+ * @param {string} question - The question
+ * @returns {Promise<Object>} The final event plus firstTokenMs and totalMs
+ */
+async function answerQuestion(chatManager, question) {
+    const startedAt = performance.now()
+    let firstTokenMs = null
+    let final = null
+
+    for await (const event of chatManager.streamUserInput(question)) {
+        if (event.type === 'token') {
+            firstTokenMs ??= performance.now() - startedAt
+        } else if (event.type !== 'wait') {
+            final = event
+        }
+    }
+    return { ...final, firstTokenMs, totalMs: performance.now() - startedAt }
+}
+
+/**
+ * @param {Array<number>} values - Measurements
+ * @returns {Object|null} { mean, p50, p95 } or null when there are none
+ */
+function describeLatency(values) {
+    if (values.length === 0) return null
+    const sorted = [...values].sort((a, b) => a - b)
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)]
+    return {
+        mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p50: Math.round(percentile(0.5)),
+        p95: Math.round(percentile(0.95))
+    }
+}
+
+/**
+ * @param {Array<number|null>} values - Per-question scores; nulls are skipped
+ * @returns {number|null} The mean, or null when there are no scores
+ */
+function mean(values) {
+    const scores = values.filter(value => typeof value === 'number')
+    return scores.length ? scores.reduce((sum, value) => sum + value, 0) / scores.length : null
+}
+
+/**
+ * Aggregate the per-question results
+ * @param {Array<Object>} results - Per-question results
+ * @param {number} k - Retrieval cut-off
+ * @returns {Object} The run summary
+ */
+function summarize(results, k) {
+    const answered = results.filter(result => result.answer)
+    return {
+        questions: results.length,
+        [`recall@${k}`]: mean(results.map(result => result.retrieval.recall)),
+        mrr: mean(results.map(result => result.retrieval.reciprocalRank)),
+        noContext: results.filter(result => result.retrieval.noContext).length,
+        keywordRecall: mean(answered.map(result => result.answer.keywordRecall)),
+        allKeywords: answered.filter(result => result.answer.missingKeywords.length === 0).length,
+        grounding: mean(answered.map(result => result.answer.grounding)),
+        handoffs: answered.filter(result => result.answer.handoff).length,
+        errors: answered.filter(result => result.answer.error).length,
+        latencyMs: {
+            retrieval: describeLatency(results.map(result => result.latencyMs.retrieval).filter(value => value !== null)),
+            firstToken: describeLatency(answered.map(result => result.latencyMs.firstToken).filter(value => value !== null)),
+            answer: describeLatency(answered.map(result => result.latencyMs.answer))
+        }
+    }
+}
+
+/**
+ * Print the run summary and the questions that need attention
+ * @param {Object} report - The saved report
+ */
+function printReport(report) {
+    const { summary, config, results } = report
+    const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`
+    const latency = stats => stats ? `mean ${stats.mean}ms, p50 ${stats.p50}ms, p95 ${stats.p95}ms` : 'n/a'
+
+    console.log(`\n${summary.questions} questions, ${config.provider} provider, k=${config.k}`)
+    console.log(`  recall@${config.k}: ${percent(summary[`recall@${config.k}`])}`)
+    console.log(`  MRR: ${summary.mrr === null ? 'n/a' : summary.mrr.toFixed(3)}`)
+    console.log(`  no context: ${summary.noContext}`)
+    if (!config.retrievalOnly) {
+        console.log(`  keyword recall: ${percent(summary.keywordRecall)} (${summary.allKeywords} answers mention every fact)`)
+        console.log(`  grounding: ${percent(summary.grounding)}`)
+        console.log(`  handoffs: ${summary.handoffs}, errors: ${summary.errors}`)
+    }
+    console.log(`  retrieval latency: ${latency(summary.latencyMs.retrieval)}`)
+    if (!config.retrievalOnly) {
+        console.log(`  first token latency: ${latency(summary.latencyMs.firstToken)}`)
+        console.log(`  answer latency: ${latency(summary.latencyMs.answer)}`)
+    }
+
+    const misses = results.filter(result => result.retrieval.reciprocalRank === 0)
+    if (misses.length) {
+        console.log('\nExpected chunk not among the chunks used:')
+        misses.forEach(result => console.log(`  ? ${result.question}${result.retrieval.noContext ? ' (no context)' : ''}`))
+    }
+    const incomplete = results.filter(result => result.answer?.missingKeywords.length)
+    if (incomplete.length) {
+        console.log('\nAnswers missing expected facts:')
+        incomplete.forEach(result => console.log(`  ? ${result.question} (missing: ${result.answer.missingKeywords.join(', ')})`))
+    }
+}
+
+async function main() {
+    const options = parseOptions()
+    if (options.help) {
+        console.log(usage)
+        return
+    }
+
+    const questions = await loadGoldenSet(options.golden)
+
+    const env = await loadServerEnv(rootDir)
+    const botConfig = await loadBotConfig(rootDir, env)
+    const providerConfig = getProviderConfig(env, botConfig)
+    const storageConfig = getStorageConfig(env)
+    if (storageConfig.filePath) storageConfig.filePath = resolve(rootDir, storageConfig.filePath)
+
+    // Same services as the API server, minus the answer cache so every question is really answered
+    const openAIService = new OpenAIService(providerConfig)
+    const { storageService, vectorStore } = createStorage(storageConfig, openAIService.embeddings)
+    const { weights, rrfK, ...retrievalOptions } = getRetrievalConfig(botConfig)
+    const chatConfig = getChatConfig(botConfig)
+    const chatOptions = { ...retrievalOptions, ...chatConfig }
+    const retriever = new HybridRetriever({ vectorStore, storageService, weights, rrfK })
+
+    const ingestionService = new IngestionService({
+        openAIService,
+        storageService,
+        loadText: path => readFile(resolve(rootDir, path), 'utf8')
+    })
+    const knowledgeBase = await ingestionService.getKnowledgeBase(options.knowledgeBase)
+    if (!knowledgeBase) {
+        throw new Error(`Unknown knowledge base "${options.knowledgeBase}". Add it to knowledge-base.json first.`)
+    }
+    const filter = { knowledgeBase: knowledgeBase.id }
+
+    // The same budgets as the API server; the fake provider has no quota to protect
+    const budgets = getRateLimitConfig(botConfig)
+    const createRateLimiter = budget => {
+        if (options.rpm !== null) return new RateLimiter({ ...budget, requestsPerMinute: options.rpm })
+        return new RateLimiter(providerConfig.provider === 'fake' ? { requestsPerMinute: Infinity } : budget)
+    }
+    const rateLimiter = createRateLimiter(budgets.chat)
+    const embeddingRateLimiter = createRateLimiter(budgets.embeddings)
+    const k = options.k ?? chatOptions.retrieverK
+
+    const results = []
+    for (const [index, item] of questions.entries()) {
+        console.log(`[${index + 1}/${questions.length}] ${item.question}`)
+
+        // Score the chunks the answer path kept (after the cutoff and MMR), not a separate search
+        let retrievalMs = null
+        const chatManager = new ChatManager(openAIService, timeSearches(retriever, ms => { retrievalMs = ms }), rateLimiter, {
+            ...chatOptions,
+            retrieverK: k,
+            embeddingRateLimiter,
+            persona: knowledgeBase.persona,
+            escalationContact: knowledgeBase.escalationContact,
+            filter
+        })
+
+        const result = {
+            question: item.question,
+            retrieval: null,
+            answer: null,
+            latencyMs: { retrieval: null, firstToken: null, answer: null }
+        }
+
+        if (options.retrievalOnly) {
+            result.retrieval = scoreRetrieval(item, await retrieveSources(chatManager, item.question), k)
+        } else {
+            const answered = await answerQuestion(chatManager, item.question)
+            result.retrieval = scoreRetrieval(item, answered.sources ?? [], k)
+            result.answer = {
+                response: answered.response,
+                ...scoreAnswer(item, answered.response, answered.sources ?? []),
+                sources: (answered.sources ?? []).map(({ id, similarity }) => ({ id, similarity })),
+                handoff: answered.handoff?.reason ?? null,
+                error: answered.type === 'error'
+            }
+            result.latencyMs.firstToken = answered.firstTokenMs === null ? null : Math.round(answered.firstTokenMs)
+            result.latencyMs.answer = Math.round(answered.totalMs)
+        }
+        result.latencyMs.retrieval = retrievalMs === null ? null : Math.round(retrievalMs)
+        results.push(result)
+    }
+
+    const report = {
+        createdAt: new Date().toISOString(),
+        config: {
+            golden: options.golden,
+            knowledgeBase: knowledgeBase.id,
+            provider: providerConfig.provider,
+            chatModel: openAIService.chatModel.modelName ?? null,
+            backend: storageConfig.backend,
+            k,
+            retrievalOnly: options.retrievalOnly,
+            retrieval: { weights: retriever.weights, rrfK: retriever.rrfK, ...retrievalOptions },
+            chat: chatConfig,
+            splitter: {
+                chunkSize: openAIService.textSplitter.chunkSize,
+                chunkOverlap: openAIService.textSplitter.chunkOverlap
+            }
+        },
+        summary: summarize(results, k),
+        results
+    }
+
+    const outPath = resolve(rootDir, options.out)
+    await mkdir(dirname(outPath), { recursive: true })
+    await writeFile(outPath, JSON.stringify(report, null, 2) + '\n')
+
+    printReport(report)
+    console.log(`\nResults saved to ${outPath}`)
+}
+
+main().catch(error => {
+    console.error(error.message ?? error)
+    process.exitCode = 1
+})
@@ -0,0 +1,235 @@
+import { Document } from 'langchain/document'
+import { RecursiveCharacterTextSplitter, TextSplitter } from 'langchain/text_splitter'
+
+// Sentence openers that mark "Question? Answer" written on a single line
+const QUESTION_START = /^(what|how|why|when|where|who|which|can|could|do|does|did|is|are|will|would|should|may|am|i)\b/i
+
+/**
+ * Split a line into its question and any answer text written after it
+ * @param {string} line - A trimmed line of text
+ * @returns {Object|null} { question, answer } or null when the line is not a question
+ */
+function parseQuestion(line) {
+    if (line.endsWith('?')) {
+        return { question: line, answer: '' }
+    }
+    const inline = line.match(/^([^?]{1,200}\?)\s+(\S.*)$/)
+    if (inline && QUESTION_START.test(inline[1])) {
+        return { question: inline[1], answer: inline[2] }
+    }
+    return null
+}
+
+/**
+ * Check whether a line reads like a section heading: short, no sentence
+ * punctuation at the end and no "Label: value" in the middle. A trailing
+ * colon is only allowed on short labels, so "Posts to help you:" above a
+ * list is not mistaken for a heading
+ * @param {string} line - A trimmed line of text
+ * @returns {boolean}
+ */
+function isHeading(line) {
+    const title = line.replace(/:$/, '')
+    if (title !== line && title.split(/\s+/).length > 5) return false
+    return title.length > 0 && title.length <= 60 && !/[.?!,;:]$/.test(title) && !title.includes(': ')
+}
+
+/**
+ * FaqTextSplitter Class
+ * Splits FAQ-style documents (question/answer pairs under section headings)
+ * so that every question stays in the same chunk as its answer. Each chunk's
+ * metadata records its section heading and, for Q&A pairs, the question.
+ * Answers too long for one chunk fall back to recursive splitting, with the
+ * question repeated at the top of every piece.
+ */
+export class FaqTextSplitter extends TextSplitter {
+    /**
+     * @param {Object} [fields] - Splitter settings
+     * @param {number} [fields.chunkSize] - Maximum characters per chunk
+     * @param {number} [fields.chunkOverlap] - Overlap used when an answer has to be split
+     * @param {Array<string>} [fields.separators] - Separators for the recursive fallback
+     */
+    constructor(fields = {}) {
+        super(fields)
+        this.separators = fields.separators ?? ['\n\n', '\n', ' ', '']
+    }
+
+    /**
+     * @param {string} text - The text to split
+     * @returns {Promise<Array<string>>} Chunk contents
+     */
+    async splitText(text) {
+        const chunks = await this.splitSections(text)
+        return chunks.map(chunk => chunk.text)
+    }
+
+    /**
+     * Split texts into documents carrying section and question metadata
+     * @param {Array<string>} texts - Texts to split
+     * @param {Array<Object>} [metadatas] - Metadata to copy onto each text's documents
+     * @returns {Promise<Array<Document>>} Document chunks
+     */
+    async createDocuments(texts, metadatas = []) {
+        const documents = []
+        for (const [index, text] of texts.entries()) {
+            for (const { text: pageContent, section, question } of await this.splitSections(text)) {
+                const metadata = { ...metadatas[index] }
+                if (section) metadata.section = section
+                if (question) metadata.question = question
+                documents.push(new Document({ pageContent, metadata }))
+            }
+        }
+        return documents
+    }
+
+    /**
+     * Split one text into chunks, keeping Q&A pairs whole where they fit
+     * @param {string} text - The text to split
+     * @returns {Promise<Array<Object>>} { text, section, question } for each chunk
+     */
+    async splitSections(text) {
+        const chunks = []
+        for (const unit of this.parseUnits(text)) {
+            if (unit.question) {
+                chunks.push(...await this.splitPair(unit))
+            } else {
+                chunks.push(...await this.splitProse(unit))
+            }
+        }
+        return chunks
+    }
+
+    /**
+     * Walk the text paragraph by paragraph, tracking the current section and
+     * grouping question lines with the answer lines that follow them
+     * @param {string} text - The text to parse
+     * @returns {Array<Object>} Units of { section, question, answer } or { section, paragraphs }
+     */
+    parseUnits(text) {
+        const paragraphs = text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.split('\n').map(line => line.trim()).filter(Boolean))
+            .filter(lines => lines.length > 0)
+
+        const units = []
+        let section = null
+        let pair = null
+        let prose = null
+
+        const flush = () => {
+            if (pair) units.push(pair)
+            if (prose) units.push(prose)
+            pair = null
+            prose = null
+        }
+
+        for (let [index, lines] of paragraphs.entries()) {
+            // A lone short line before more text starts a new section
+            if (lines.length === 1 && isHeading(lines[0]) && index < paragraphs.length - 1) {
+                flush()
+                section = lines[0].replace(/:$/, '')
+                continue
+            }
+
+            // A heading written directly above the first question of its section
+            if (lines.length > 1 && isHeading(lines[0]) && parseQuestion(lines[1])) {
+                flush()
+                section = lines[0].replace(/:$/, '')
+                lines = lines.slice(1)
+            }
+
+            // FAQ sections sometimes state the question without a question mark
+            const inFaq = /faq/i.test(section ?? '')
+            let line = 0
+            while (line < lines.length) {
+                const parsed = parseQuestion(lines[line]) ??
+                    (inFaq && line === 0 && lines.length > 1 ? { question: lines[0], answer: '' } : null)
+                if (!parsed) break
+
+                // Consecutive questions share one answer
+                if (pair && !pair.answer.length) {
+                    pair.question += `\n${parsed.question}`
+                } else {
+                    flush()
+                    pair = { section, question: parsed.question, answer: [] }
+                }
+                if (parsed.answer) pair.answer.push(parsed.answer)
+                line++
+            }
+
+            const rest = lines.slice(line)
+            if (rest.length === 0) continue
+
+            if (line > 0 || (pair && !pair.answer.length)) {
+                // Answer to the question(s) above
+                pair.answer.push(...rest)
+            } else {
+                if (pair) flush()
+                prose ??= { section, paragraphs: [] }
+                prose.paragraphs.push(rest.join('\n'))
+            }
+        }
+        flush()
+
+        return units.map(unit => unit.question
+            ? { section: unit.section, question: unit.question, answer: unit.answer.join('\n') }
+            : unit)
+    }
+
+    /**
+     * Keep a Q&A pair in one chunk, or split its answer and repeat the question on each piece
+     * @param {Object} unit - { section, question, answer }
+     * @returns {Promise<Array<Object>>} Chunks for the pair
+     */
+    async splitPair({ section, question, answer }) {
+        const text = answer ? `${question}\n${answer}` : question
+        if (this.lengthFunction(text) <= this.chunkSize) {
+            return [{ text, section, question }]
+        }
+
+        const answerSize = Math.max(this.chunkSize - this.lengthFunction(question) - 1, Math.floor(this.chunkSize / 2))
+        const pieces = await this.createFallbackSplitter(answerSize).splitText(answer)
+        return pieces.map(piece => ({ text: `${question}\n${piece}`, section, question }))
+    }
+
+    /**
+     * Pack consecutive prose paragraphs of a section into chunks
+     * @param {Object} unit - { section, paragraphs }
+     * @returns {Promise<Array<Object>>} Chunks for the prose
+     */
+    async splitProse({ section, paragraphs }) {
+        const chunks = []
+        let current = ''
+
+        for (const paragraph of paragraphs) {
+            const combined = current ? `${current}\n\n${paragraph}` : paragraph
+            if (this.lengthFunction(combined) <= this.chunkSize) {
+                current = combined
+                continue
+            }
+            if (current) chunks.push(current)
+            if (this.lengthFunction(paragraph) <= this.chunkSize) {
+                current = paragraph
+            } else {
+                chunks.push(...await this.createFallbackSplitter(this.chunkSize).splitText(paragraph))
+                current = ''
+            }
+        }
+        if (current) chunks.push(current)
+
+        return chunks.map(text => ({ text, section }))
+    }
+
+    /**
+     * @param {number} chunkSize - Maximum characters per piece
+     * @returns {RecursiveCharacterTextSplitter}
+     */
+    createFallbackSplitter(chunkSize) {
+        return new RecursiveCharacterTextSplitter({
+            chunkSize,
+            chunkOverlap: Math.min(this.chunkOverlap, Math.floor(chunkSize / 2)),
+            separators: this.separators,
+            lengthFunction: this.lengthFunction
+        })
+    }
+}
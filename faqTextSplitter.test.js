@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { FaqTextSplitter } from './faqTextSplitter.js'
+
+const summarize = documents => documents.map(({ pageContent, metadata }) => ({ pageContent, ...metadata }))
+
+test('each question stays in one chunk with its answer, under its section heading', async () => {
+    const splitter = new FaqTextSplitter({ chunkSize: 200, chunkOverlap: 0 })
+    const documents = await splitter.createDocuments([[
+        'Pricing',
+        '',
+        'Is there a free trial?',
+        'Yes, the first modules are free.',
+        '',
+        'Can I get a refund?',
+        'Within 14 days of purchase.',
+        '',
+        'Community',
+        '',
+        'Where can I go for help? Ask in #code-help on Discord.'
+    ].join('\n')], [{ source: 'faq.txt' }])
+
+    assert.deepEqual(summarize(documents), [
+        { pageContent: 'Is there a free trial?\nYes, the first modules are free.', source: 'faq.txt', section: 'Pricing', question: 'Is there a free trial?' },
+        { pageContent: 'Can I get a refund?\nWithin 14 days of purchase.', source: 'faq.txt', section: 'Pricing', question: 'Can I get a refund?' },
+        { pageContent: 'Where can I go for help?\nAsk in #code-help on Discord.', source: 'faq.txt', section: 'Community', question: 'Where can I go for help?' }
+    ])
+})
+
+test('consecutive questions share the answer that follows them', async () => {
+    const splitter = new FaqTextSplitter({ chunkSize: 200, chunkOverlap: 0 })
+    const [document, ...rest] = await splitter.createDocuments(['Do I have to study full-time?\nCan I study part-time?\nYou can study at your own pace.'])
+
+    assert.equal(rest.length, 0)
+    assert.equal(document.metadata.question, 'Do I have to study full-time?\nCan I study part-time?')
+    assert.match(document.pageContent, /own pace\.$/)
+})
+
+test('a heading written right above its first question starts the section', async () => {
+    const splitter = new FaqTextSplitter({ chunkSize: 200, chunkOverlap: 0 })
+    const [document] = await splitter.createDocuments(['Bootcamp:\nAre the sessions recorded?\nYes, every one.'])
+
+    assert.equal(document.metadata.section, 'Bootcamp')
+    assert.equal(document.pageContent, 'Are the sessions recorded?\nYes, every one.')
+})
+
+test('long answers are split with the question repeated on every piece', async () => {
+    const splitter = new FaqTextSplitter({ chunkSize: 60, chunkOverlap: 0 })
+    const answer = 'The Career Path covers HTML, CSS, JavaScript, React, APIs, accessibility, testing and more.'
+    const documents = await splitter.createDocuments([`What topics are covered?\n${answer}`])
+
+    assert.ok(documents.length > 1)
+    for (const { pageContent, metadata } of documents) {
+        assert.ok(pageContent.startsWith('What topics are covered?\n'))
+        assert.ok(pageContent.length <= 60)
+        assert.equal(metadata.question, 'What topics are covered?')
+    }
+})
+
+test('prose paragraphs are packed together and carry no question', async () => {
+    const splitter = new FaqTextSplitter({ chunkSize: 60, chunkOverlap: 0 })
+    const documents = await splitter.createDocuments(['About us\n\nScrimba is a coding school.\n\nIt was founded in Oslo.\n\nIt teaches web development online.'])
+
+    assert.deepEqual(summarize(documents), [
+        { pageContent: 'Scrimba is a coding school.\n\nIt was founded in Oslo.', section: 'About us' },
+        { pageContent: 'It teaches web development online.', section: 'About us' }
+    ])
+})
+
+test('splitText returns the same chunk contents', async () => {
+    const splitter = new FaqTextSplitter({ chunkSize: 200, chunkOverlap: 0 })
+    const text = 'Pricing\n\nIs there a free trial?\nYes.'
+
+    assert.deepEqual(await splitter.splitText(text), ['Is there a free trial?\nYes.'])
+})
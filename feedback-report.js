@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Quality report: negative answer feedback grouped by the chunk the answers came from
+import { dirname, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { getStorageConfig, loadServerEnv } from './serverEnv.js'
+import { createStorage } from './storage.js'
+
+const rootDir = dirname(fileURLToPath(import.meta.url))
+
+const usage = `Usage: npm run feedback-report -- [options]
+
+Options:
+  --limit <n>   Show at most this many chunks (default: 20)
+  --json        Print the report as JSON instead of text
+  -h, --help    Show this message`
+
+/**
+ * Parse command line options
+ * @returns {Object} The parsed options
+ */
+function parseOptions() {
+    const { values } = parseArgs({
+        options: {
+            limit: { type: 'string', default: '20' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    })
+
+    const limit = parseInt(values.limit, 10)
+    if (!(limit > 0)) {
+        throw new Error('--limit must be a positive integer')
+    }
+    return { limit, json: values.json, help: values.help }
+}
+
+/**
+ * Build the report, attaching each chunk's current text so it can be rewritten
+ * Chunks are found by content hash, so re-indexing can't pin feedback on
+ * different text; feedback whose chunk has since changed or been removed is
+ * marked stale. Feedback saved before hashes were recorded falls back to the
+ * chunk index.
+ * @param {SupabaseService|LocalStorageService} storageService - Where feedback and chunks are stored
+ * @param {number} limit - Maximum number of chunks to include
+ * @returns {Promise<Array<Object>>} Report rows, most downvoted chunk first
+ */
+async function buildReport(storageService, limit) {
+    const groups = (await storageService.getNegativeFeedbackByChunk()).slice(0, limit)
+
+    const chunksBySource = new Map()
+    for (const source of new Set(groups.map(group => group.source))) {
+        chunksBySource.set(source, await storageService.getSourceChunks(source))
+    }
+
+    return groups.map(group => {
+        const row = chunksBySource.get(group.source)?.find(chunk => group.content_hash
+            ? chunk.metadata?.contentHash === group.content_hash
+            : chunk.metadata?.chunkIndex === group.chunk_index)
+        return {
+            ...group,
+            chunk_index: row?.metadata?.chunkIndex ?? group.chunk_index,
+            content: row?.content ?? null,
+            stale: !row
+        }
+    })
+}
+
+/**
+ * Print one report row
+ * @param {Object} row - A report row
+ */
+function printRow(row) {
+    const similarity = typeof row.avg_similarity === 'number' ? `, avg match ${Math.round(row.avg_similarity * 100)}%` : ''
+    console.log(`\n${row.source}#${row.chunk_index}: ${row.negative_count} negative${similarity}`)
+    console.log(`  last reported ${row.last_reported_at}`)
+    console.log(row.stale
+        ? '  (stale: the chunk has changed or been removed since this feedback)'
+        : `  content: ${row.content.replace(/\s+/g, ' ').slice(0, 160)}${row.content.length > 160 ? '…' : ''}`)
+
+    for (const question of [...new Set(row.questions)].slice(0, 5)) {
+        console.log(`  ? ${question}`)
+    }
+    for (const comment of row.comments.slice(0, 5)) {
+        console.log(`  > ${comment}`)
+    }
+}
+
+async function main() {
+    const options = parseOptions()
+    if (options.help) {
+        console.log(usage)
+        return
+    }
+
+    const env = await loadServerEnv(rootDir)
+    const storageConfig = getStorageConfig(env, { preferServiceRole: true })
+    if (storageConfig.filePath) storageConfig.filePath = resolve(rootDir, storageConfig.filePath)
+    // The report never embeds anything, so no model provider is needed
+    const { storageService } = createStorage(storageConfig, null)
+
+    const report = await buildReport(storageService, options.limit)
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2))
+        return
+    }
+
+    if (report.length === 0) {
+        console.log('No negative feedback yet.')
+        return
+    }
+    console.log('Chunks behind downvoted answers, worst first:')
+    report.forEach(printRow)
+}
+
+main().catch(error => {
+    console.error(error.message ?? error)
+    process.exitCode = 1
+})
@@ -0,0 +1,110 @@
+import { Document } from 'langchain/document'
+
+/**
+ * Identify a chunk across result lists
+ * @param {Document} doc - The chunk
+ * @returns {string} Key shared by every copy of the chunk
+ */
+function chunkKey(doc) {
+    const { source, chunkIndex } = doc.metadata ?? {}
+    return source !== undefined && chunkIndex !== undefined ? `${source}#${chunkIndex}` : doc.pageContent
+}
+
+/**
+ * HybridRetriever Class
+ * Combines vector similarity search with keyword (full-text) search and merges
+ * the two rankings with reciprocal rank fusion. Exposes the same
+ * similaritySearchWithScore method as a vector store, so ChatManager can use it
+ * in place of one.
+ */
+export class HybridRetriever {
+    /**
+     * @param {Object} config - Retriever configuration
+     * @param {VectorStore} config.vectorStore - Store used for similarity search
+     * @param {Object} config.storageService - Storage service providing keywordSearch
+     * @param {Object} [config.weights] - Weight of each ranking in the fusion, e.g. { vector: 1, keyword: 1 }
+     * @param {number} [config.rrfK] - Rank offset in the fusion formula; larger values flatten the ranking
+     * @param {number} [config.candidateMultiplier] - Candidates fetched from each search per requested result
+     */
+    constructor({ vectorStore, storageService, weights = {}, rrfK = 60, candidateMultiplier = 2 }) {
+        this.vectorStore = vectorStore
+        this.storageService = storageService
+        this.weights = { vector: 1, keyword: 1, ...weights }
+        this.rrfK = rrfK
+        this.candidateMultiplier = candidateMultiplier
+    }
+
+    get embeddings() {
+        return this.vectorStore.embeddings
+    }
+
+    /**
+     * Search both rankings and fuse them
+     * @param {string} query - The search text
+     * @param {number} [k] - Number of results
+     * @param {Object} [filter] - Metadata the chunks must contain
+     * @returns {Promise<Array>} [document, similarity, foundBy] results in fused order (see fuse)
+     */
+    async similaritySearchWithScore(query, k = 4, filter = undefined) {
+        const candidateCount = k * this.candidateMultiplier
+        const queryEmbedding = await this.vectorStore.embeddings.embedQuery(query)
+
+        const [vectorResults, keywordRows] = await Promise.all([
+            this.weights.vector > 0
+                ? this.vectorStore.similaritySearchVectorWithScore(queryEmbedding, candidateCount, filter)
+                : [],
+            this.weights.keyword > 0
+                ? this.keywordSearch(query, queryEmbedding, candidateCount, filter)
+                : []
+        ])
+
+        const keywordResults = keywordRows.map(row => [
+            new Document({ pageContent: row.content, metadata: row.metadata }),
+            row.similarity
+        ])
+
+        return this.fuse({ vector: vectorResults, keyword: keywordResults }).slice(0, k)
+    }
+
+    /**
+     * Run the keyword search, falling back to vector-only results if it fails
+     * (for example before the hybrid search migration has been applied)
+     */
+    async keywordSearch(query, queryEmbedding, candidateCount, filter) {
+        try {
+            return await this.storageService.keywordSearch(query, queryEmbedding, candidateCount, filter ?? {})
+        } catch (error) {
+            console.error('Keyword search failed, using vector search only:', error)
+            return []
+        }
+    }
+
+    /**
+     * Merge ranked result lists with reciprocal rank fusion:
+     * score(chunk) = sum over lists of weight / (rrfK + rank)
+     * The similarity is always the vector cosine, so each result also names
+     * the rankings that found it: a chunk only keyword search found has a low
+     * cosine but is still an exact match for the query's terms
+     * @param {Object} rankings - Lists of [document, similarity] pairs keyed by ranking name
+     * @returns {Array} [document, similarity, foundBy] results sorted by fused score
+     */
+    fuse(rankings) {
+        const fused = new Map()
+
+        for (const [name, results] of Object.entries(rankings)) {
+            const weight = this.weights[name] ?? 0
+            results.forEach(([doc, similarity], index) => {
+                const key = chunkKey(doc)
+                const entry = fused.get(key) ?? { doc, similarity, score: 0, foundBy: [] }
+                entry.score += weight / (this.rrfK + index + 1)
+                entry.similarity = Math.max(entry.similarity ?? -Infinity, similarity ?? -Infinity)
+                entry.foundBy.push(name)
+                fused.set(key, entry)
+            })
+        }
+
+        return [...fused.values()]
+            .sort((a, b) => b.score - a.score)
+            .map(({ doc, similarity, foundBy }) => [doc, similarity, foundBy])
+    }
+}
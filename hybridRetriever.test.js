@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Document } from 'langchain/document'
+import { HybridRetriever } from './hybridRetriever.js'
+
+const chunk = chunkIndex => new Document({ pageContent: `Chunk ${chunkIndex}`, metadata: { source: 'faq.txt', chunkIndex } })
+const order = results => results.map(([document]) => document.metadata.chunkIndex)
+
+test('fuse ranks chunks both searches found above those only one found', () => {
+    const retriever = new HybridRetriever({})
+    const fused = retriever.fuse({
+        vector: [[chunk(0), 0.9], [chunk(1), 0.8]],
+        keyword: [[chunk(2), 0.1], [chunk(1), 0.8]]
+    })
+
+    assert.deepEqual(order(fused), [1, 0, 2])
+})
+
+test('fuse merges copies of a chunk, keeping its best similarity and every search that found it', () => {
+    const retriever = new HybridRetriever({})
+    const [merged, ...rest] = retriever.fuse({
+        vector: [[chunk(0), 0.7]],
+        keyword: [[new Document({ pageContent: 'Chunk 0', metadata: { source: 'faq.txt', chunkIndex: 0 } }), null]]
+    })
+
+    assert.equal(rest.length, 0)
+    assert.equal(merged[1], 0.7)
+    assert.deepEqual(merged[2], ['vector', 'keyword'])
+})
+
+test('fuse weights each ranking', () => {
+    const rankings = { vector: [[chunk(0), 0.9]], keyword: [[chunk(1), 0.2]] }
+
+    assert.deepEqual(order(new HybridRetriever({ weights: { keyword: 2 } }).fuse(rankings)), [1, 0])
+    assert.deepEqual(order(new HybridRetriever({ weights: { vector: 2 } }).fuse(rankings)), [0, 1])
+})
+
+test('a larger rrfK favours agreement between the searches over a single top rank', () => {
+    const rankings = {
+        vector: [[chunk(0), 0.9], [chunk(1), 0.85], [chunk(2), 0.8]],
+        keyword: [[chunk(3), 0.3], [chunk(4), 0.3], [chunk(2), 0.8]]
+    }
+
+    assert.equal(order(new HybridRetriever({ rrfK: 60 }).fuse(rankings))[0], 2)
+    assert.equal(order(new HybridRetriever({ rrfK: 0 }).fuse(rankings))[0], 0)
+})
@@ -1,60 +1,48 @@
 // Import necessary dependencies and services
-import { RateLimiter } from './rateLimit.js'
-import { SupabaseService } from './supabaseService.js'
-import { OpenAIService } from './openAIService.js'
-import { ChatManager } from './chatManager.js'
-import { SupabaseVectorStore } from 'langchain/vectorstores/supabase'
-import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter'
+import { ApiClient } from './apiClient.js'
+import { LocalStorageBudgetStore, RateLimiter } from './rateLimit.js'
+import { renderMarkdown } from './markdown.js'
+
+// Labels for support ticket statuses (see 005_support_tickets.sql)
+const TICKET_STATUS_LABELS = {
+    open: 'Open',
+    in_progress: 'In progress',
+    resolved: 'Resolved',
+    closed: 'Closed'
+}
 
 /**
  * Main Application Class
- * Handles initialization, document processing, and chat functionality
+ * Handles the chat UI; everything that needs an API key runs on the API server
  */
 class App {
     constructor() {
-        // Load environment variables for API keys and URLs
-        this.openAIApiKey = import.meta.env.VITE_OPENAI_API_KEY
-        this.supabaseUrl = import.meta.env.VITE_SUPABASE_URL
-        this.supabaseKey = import.meta.env.VITE_SUPABASE_API_KEY
-
-        // Create instances of our service classes
-        this.supabaseService = new SupabaseService({
-            supabaseUrl: this.supabaseUrl,
-            supabaseKey: this.supabaseKey
-        })
-        this.openAIService = new OpenAIService({
-            openAIApiKey: this.openAIApiKey
-        })
-        
-        // Set up rate limiters to prevent API overuse
-        // Arguments: (requests per minute, time window in seconds)
-        this.embeddingRateLimiter = new RateLimiter(3, 60)
-        this.chatRateLimiter = new RateLimiter(3, 60)
-
-        // Initialize vector store for document storage and retrieval
-        this.vectorStore = new SupabaseVectorStore(this.openAIService.embeddings, {
-            client: this.supabaseService.client,
-            tableName: 'documents',
-            queryName: 'match_documents'
+        // Conversation threads are saved under an anonymous per-browser id
+        this.clientId = this.getClientId()
+        this.knowledgeBase = null
+        this.threads = []
+        this.activeThreadId = null
+        this.threadsEnabled = true
+
+        // All model, retrieval and storage calls go through the API server
+        this.apiClient = new ApiClient({ clientId: this.clientId })
+
+        // The server enforces the limits; this records its 429s so every tab
+        // of the browser waits them out with the same countdown
+        this.rateBudget = new RateLimiter({
+            requestsPerMinute: Infinity,
+            store: new LocalStorageBudgetStore('chatbotRateBudget')
         })
+        this.countdownTimer = null
 
-        // Create chat manager instance to handle conversations
-        this.chatManager = new ChatManager(
-            this.openAIService,
-            this.vectorStore,
-            this.chatRateLimiter
-        )
+        // The answer being streamed, and the latest exchange Edit and Regenerate act on
+        this.activeRequest = null
+        this.latestTurn = null
+        this.editingTurn = null
 
         // Set up event listeners and initialize the application
         this.setupEventListeners()
         this.initialize()
-
-        // Add this after loading environment variables in the constructor
-        const config = {
-            openAIApiKey: this.openAIApiKey,
-            supabaseUrl: this.supabaseUrl,
-            supabaseKey: this.supabaseKey
-        }
     }
 
     /**
@@ -62,30 +50,66 @@ class App {
      */
     setupEventListeners() {
         // Listen for form submissions (user sending a message)
-        document.addEventListener('submit', (e) => {
+        document.getElementById('form').addEventListener('submit', (e) => {
             e.preventDefault()
             this.progressConversation()
         })
+
+        // Stop the answer being generated, or leave an edit without sending it
+        document.getElementById('stop-btn').addEventListener('click', () => this.stopAnswer())
+        document.getElementById('cancel-edit-btn').addEventListener('click', () => this.cancelEdit())
+        document.getElementById('user-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.editingTurn) this.cancelEdit()
+        })
+
+        // Thread list controls
+        document.getElementById('thread-select').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.switchThread(e.target.value)
+            } else {
+                this.startNewThread()
+            }
+        })
+        document.getElementById('new-thread-btn').addEventListener('click', () => this.startNewThread())
+        document.getElementById('delete-thread-btn').addEventListener('click', () => this.deleteThread())
+
+        // Another tab was told to slow down
+        window.addEventListener('storage', (e) => {
+            if (e.key === 'chatbotRateBudget') this.showRateLimitCountdown()
+        })
     }
 
     /**
      * Initialize the application
-     * Checks for existing documents and handles initial setup
+     * Picks the knowledge base to talk to, then only checks that it has been
+     * indexed; embeddings are written by the `npm run ingest` command, never from the browser
      */
     async initialize() {
         try {
             const chatbotConversation = document.getElementById('chatbot-conversation-container')
 
-            // Check if we have any previously processed documents
-            const { hasDocuments, lastProcessedIndex } = await this.supabaseService.checkExistingDocuments()
+            this.knowledgeBase = await this.selectKnowledgeBase()
+            document.title = `${this.knowledgeBase.name} Chatbot`
 
-            if (hasDocuments && lastProcessedIndex >= 0) {
-                // Handle case where documents were previously processed
-                await this.handleExistingDocuments(chatbotConversation, lastProcessedIndex)
-            } else {
-                // Handle first-time document processing
-                await this.handleInitialProcessing(chatbotConversation)
+            const { ready, missing, total } = await this.apiClient.getIngestStatus(this.knowledgeBase.id)
+
+            if (missing.length === total) {
+                console.warn('No sources have been indexed yet. Run `npm run ingest`.')
+                document.getElementById('thread-bar').hidden = true
+                this.appendMessage(
+                    chatbotConversation,
+                    "I'm not ready to answer questions yet because the documentation hasn't been indexed. Please check back soon.",
+                    'status'
+                )
+                return
             }
+
+            if (!ready) {
+                console.warn(`Sources not indexed yet: ${missing.join(', ')}. Run \`npm run ingest\`.`)
+            }
+
+            console.log('Knowledge base indexed. Ready for questions!')
+            await this.restoreThreads()
         } catch (error) {
             console.error('Initialization error:', error)
             this.appendMessage(
@@ -97,206 +121,720 @@ class App {
     }
 
     /**
-     * Handle case where documents were previously processed
-     * @param {HTMLElement} chatbotConversation - The chat container element
-     * @param {number} lastProcessedIndex - Index of the last processed document
+     * Choose the knowledge base this page talks to
+     * A `?kb=` URL parameter wins over `window.chatbotConfig.knowledgeBase`, set
+     * by the page embedding the chat; otherwise the server's default is used
+     * @returns {Promise<Object>} The knowledge base with its id, name, greeting and escalation contact
      */
-    async handleExistingDocuments(chatbotConversation, lastProcessedIndex) {
-        const { expectedChunks, text } = await this.getTextFileInfo()
+    async selectKnowledgeBase() {
+        const { default: defaultId, knowledgeBases } = await this.apiClient.getKnowledgeBases()
+        const requested = new URLSearchParams(window.location.search).get('kb') ?? window.chatbotConfig?.knowledgeBase
+        const knowledgeBase = knowledgeBases.find(({ id }) => id === requested)
 
-        if (lastProcessedIndex + 1 === expectedChunks) {
-            // All documents are processed, ready for chat
-            console.log('All documents processed. Ready for questions!')
-            this.appendMessage(
-                chatbotConversation,
-                "Hi! I'm ready to answer your questions about Scrimba. What would you like to know?",
-                'ai'
-            )
-        } else {
-            // Some documents still need processing
-            await this.resumeProcessing(chatbotConversation, lastProcessedIndex, expectedChunks)
+        if (requested && !knowledgeBase) {
+            console.warn(`Unknown knowledge base "${requested}", using "${defaultId}" instead.`)
         }
+        return knowledgeBase ?? knowledgeBases.find(({ id }) => id === defaultId)
     }
 
     /**
-     * Handle initial document processing
-     * @param {HTMLElement} chatbotConversation - The chat container element
+     * Send the question in the input, in place of the latest turn when it is being edited
      */
-    async handleInitialProcessing(chatbotConversation) {
-        console.log('Starting initial document processing...')
-        this.appendMessage(
-            chatbotConversation,
-            "Please wait while I process the documentation...",
-            'ai'
-        )
+    async progressConversation() {
+        const userInput = document.getElementById('user-input')
+        if (this.activeRequest) return
 
-        // Create a message to show processing status
-        const processingMessage = this.appendMessage(
-            chatbotConversation,
-            "Processing: 0/0 chunks",
-            'status'
-        )
+        // Keep the question in the input until the budget allows it
+        if (this.rateBudget.getWaitTime() > 0) {
+            this.showRateLimitCountdown()
+            return
+        }
 
-        // Update the processing status message as chunks are processed
-        window.addEventListener('processingUpdate', (e) => {
-            processingMessage.textContent = `Processing: ${e.detail.current}/${e.detail.total} chunks`
-        })
+        const question = userInput.value
+        const replacedTurn = this.editingTurn
+        userInput.value = ''
+        this.stopEditing()
+        await this.askQuestion(question, replacedTurn)
+    }
+
+    /**
+     * Ask the latest question again for a different answer
+     */
+    async regenerateLatestTurn() {
+        if (this.activeRequest || !this.latestTurn) return
+        if (this.rateBudget.getWaitTime() > 0) {
+            this.showRateLimitCountdown()
+            return
+        }
 
-        await this.processTextFile()
-        processingMessage.textContent = "Processing complete! You can now ask questions."
+        this.stopEditing()
+        await this.askQuestion(this.latestTurn.question, this.latestTurn)
     }
 
     /**
-     * Get information about the text file to be processed
-     * @returns {Object} Object containing expected chunks and text content
+     * Handle a conversation turn (user input and AI response)
+     * The answer is rendered progressively as tokens stream in. A replaced
+     * turn stays on screen until the new answer is done, because that is when
+     * the server replaces it in the thread; a failed or stopped replacement
+     * leaves it as the latest turn.
+     * @param {string} question - The question to ask
+     * @param {Object} [replacedTurn] - The latest turn, when it is being edited or regenerated
      */
-    async getTextFileInfo() {
-        const response = await fetch('./scrimba-info.txt')
-        const text = await response.text()
-        const expectedChunks = await this.openAIService.getExpectedChunks(text)
-        return { expectedChunks, text }
+    async askQuestion(question, replacedTurn = null) {
+        const chatbotConversation = document.getElementById('chatbot-conversation-container')
+        const controller = new AbortController()
+        let aiMessage
+        let messageId = null
+        let finished = false
+        let streamedText = ''
+        let stopWaiting = () => {}
+
+        this.activeRequest = controller
+        this.setAnswering(true)
+        this.setLatestTurn(null)
+
+        // Show the user message
+        const questionElement = this.appendMessage(chatbotConversation, question, 'human')
+        try {
+            aiMessage = this.appendMessage(chatbotConversation, 'Thinking...', 'ai')
+
+            // Only a saved answer is replaced on the server; a stopped or failed one was never saved
+            const events = this.apiClient.streamChat(question, this.activeThreadId, {
+                knowledgeBase: this.knowledgeBase.id,
+                signal: controller.signal,
+                replaceMessageId: replacedTurn?.messageId ?? null
+            })
+
+            // Render Markdown as tokens arrive, then swap in the formatted response
+            for await (const event of events) {
+                if (event.type === 'thread') {
+                    this.trackThread(event.thread)
+                } else if (event.type === 'wait') {
+                    // A turn can queue more than once; only the latest countdown may run
+                    stopWaiting()
+                    stopWaiting = this.startCountdown(event.waitMs, seconds => {
+                        aiMessage.textContent = `Lots of people are asking questions right now. Your answer will start in ${seconds}s...`
+                    })
+                } else if (event.type === 'token') {
+                    stopWaiting()
+                    streamedText += event.token
+                    renderMarkdown(aiMessage, streamedText)
+                    chatbotConversation.scrollTop = chatbotConversation.scrollHeight
+                } else if (event.type === 'done') {
+                    finished = true
+                    messageId = event.messageId ?? null
+                    replacedTurn?.questionElement.remove()
+                    replacedTurn?.answerElement.remove()
+                    replacedTurn = null
+                    renderMarkdown(aiMessage, event.response)
+                    this.renderSources(aiMessage, event.sources)
+                    if (event.messageId && this.activeThreadId) {
+                        this.renderFeedback(aiMessage, event.messageId)
+                    }
+                    if (event.handoff && this.activeThreadId) {
+                        this.renderHandoffForm(aiMessage, event.handoff.reason)
+                    }
+                } else {
+                    // The server words the message for the kind of failure
+                    finished = true
+                    aiMessage.textContent = event.response
+                    aiMessage.classList.add('speech-failed')
+                    aiMessage.dataset.failure = event.failureType ?? 'unknown'
+                    if (event.retryAfter) {
+                        this.rateBudget.blockFor(event.retryAfter * 1000)
+                        this.showRateLimitCountdown()
+                    }
+                }
+            }
+
+            // The server stopped the turn, e.g. for a newer question on the same thread from another tab
+            if (!finished) this.showStopped(aiMessage, streamedText)
+        } catch (error) {
+            if (controller.signal.aborted) {
+                this.showStopped(aiMessage, streamedText)
+            } else if (error.status === 409) {
+                // The thread changed since it was shown; show what the server has
+                await this.switchThread(this.activeThreadId)
+            } else {
+                console.error('Error in conversation:', error)
+                if (error.status === 429) {
+                    this.rateBudget.blockFor((error.retryAfter ?? 60) * 1000)
+                    this.showRateLimitCountdown()
+                }
+                const errorMessage = this.getRequestErrorMessage(error)
+                if (!aiMessage) {
+                    aiMessage = this.appendMessage(chatbotConversation, errorMessage, 'ai')
+                }
+                aiMessage.textContent = errorMessage
+                aiMessage.classList.add('speech-failed')
+            }
+        } finally {
+            stopWaiting()
+            if (this.activeRequest === controller) {
+                this.activeRequest = null
+                this.setAnswering(false)
+            }
+        }
+
+        // Nothing to offer when the conversation was switched or reloaded meanwhile
+        if (replacedTurn?.answerElement.isConnected) {
+            this.setLatestTurn(replacedTurn)
+        } else if (questionElement.isConnected && aiMessage?.isConnected) {
+            this.setLatestTurn({ question, questionElement, answerElement: aiMessage, messageId })
+        }
     }
 
     /**
-     * Resume processing from a previous point
-     * @param {HTMLElement} chatbotConversation - The chat container element
-     * @param {number} lastProcessedIndex - Index of last processed chunk
-     * @param {number} expectedChunks - Total number of expected chunks
+     * Stop the answer being generated; the server drops the unfinished turn
      */
-    async resumeProcessing(chatbotConversation, lastProcessedIndex, expectedChunks) {
-        console.log('Partial processing detected. Resuming...')
-        this.appendMessage(
-            chatbotConversation,
-            "Resuming previous processing...",
-            'ai'
-        )
+    stopAnswer() {
+        this.activeRequest?.abort()
+    }
 
-        const processingMessage = this.appendMessage(
-            chatbotConversation,
-            `Resuming from chunk ${lastProcessedIndex + 1}/${expectedChunks}`,
-            'status'
-        )
+    /**
+     * Keep the part of the answer that arrived and mark it as stopped
+     * @param {HTMLElement} aiMessage - The AI message element
+     * @param {string} partialText - The tokens received before stopping
+     */
+    showStopped(aiMessage, partialText) {
+        if (!aiMessage) return
+        renderMarkdown(aiMessage, partialText)
+
+        const note = document.createElement('p')
+        note.classList.add('stopped-note')
+        note.textContent = 'Stopped'
+        aiMessage.appendChild(note)
+    }
 
-        // Update processing status message
-        window.addEventListener('processingUpdate', (e) => {
-            processingMessage.textContent = `Processing: ${e.detail.current}/${e.detail.total} chunks${e.detail.resuming ? ' (Resumed)' : ''}`
-        })
+    /**
+     * Show Stop in place of the send button while an answer is being generated
+     * @param {boolean} answering - Whether an answer is in progress
+     */
+    setAnswering(answering) {
+        document.getElementById('stop-btn').hidden = !answering
+        document.getElementById('submit-btn').hidden = answering
+    }
 
-        await this.processTextFile()
-        processingMessage.textContent = "Processing complete! You can now ask questions."
+    /**
+     * Move the Edit and Regenerate buttons to the latest turn
+     * @param {Object|null} turn - { question, questionElement, answerElement, messageId }, where
+     *     messageId is null when the answer was not saved (stopped or failed)
+     */
+    setLatestTurn(turn) {
+        document.querySelectorAll('.turn-actions').forEach(actions => actions.remove())
+        this.latestTurn = turn
+        if (!turn) return
+
+        const actions = document.createElement('div')
+        actions.classList.add('turn-actions')
+        actions.append(
+            this.createTurnButton('Edit', 'Edit your question', () => this.editLatestTurn()),
+            this.createTurnButton('Regenerate', 'Get a different answer', () => this.regenerateLatestTurn())
+        )
+        turn.answerElement.appendChild(actions)
     }
 
     /**
-     * Process the text file into chunks and store them
+     * @param {string} text - Button label
+     * @param {string} title - Tooltip
+     * @param {Function} onClick - Called when clicked
+     * @returns {HTMLButtonElement}
      */
-    async processTextFile() {
-        let processedCount = 0
+    createTurnButton(text, title, onClick) {
+        const button = document.createElement('button')
+        button.type = 'button'
+        button.classList.add('thread-btn')
+        button.textContent = text
+        button.title = title
+        button.addEventListener('click', onClick)
+        return button
+    }
 
-        try {
-            const { lastProcessedIndex } = await this.supabaseService.checkExistingDocuments()
-            const response = await fetch('./scrimba-info.txt')
-            const text = await response.text()
+    /**
+     * Put the latest question back in the input; sending it replaces the turn
+     */
+    editLatestTurn() {
+        if (this.activeRequest || !this.latestTurn) return
 
-            // Split text into chunks using OpenAIService
-            const documentChunks = await this.openAIService.createDocumentChunks(text)
-            const totalChunks = documentChunks.length
+        this.stopEditing()
+        this.editingTurn = this.latestTurn
+        this.editingTurn.questionElement.classList.add('speech-editing')
+        document.getElementById('edit-notice').hidden = false
 
-            if (lastProcessedIndex >= 0) {
-                processedCount = lastProcessedIndex + 1
-            }
+        const userInput = document.getElementById('user-input')
+        userInput.value = this.latestTurn.question
+        userInput.focus()
+    }
 
-            this.dispatchProcessingUpdate(processedCount, totalChunks, lastProcessedIndex >= 0)
+    cancelEdit() {
+        this.stopEditing()
+        document.getElementById('user-input').value = ''
+    }
 
-            for (let i = lastProcessedIndex + 1; i < documentChunks.length; i++) {
-                const chunk = documentChunks[i]
-                await this.processChunk(chunk, i)
-                processedCount++
-                this.dispatchProcessingUpdate(processedCount, totalChunks, lastProcessedIndex >= 0)
+    stopEditing() {
+        this.editingTurn?.questionElement.classList.remove('speech-editing')
+        this.editingTurn = null
+        document.getElementById('edit-notice').hidden = true
+    }
+
+    /**
+     * Describe a failed request to the API server itself
+     * @param {Error} error - An ApiError, or the TypeError fetch throws when the server can't be reached
+     * @returns {string} Message to show the user
+     */
+    getRequestErrorMessage(error) {
+        if (error.status === 429) {
+            return "You're sending questions too quickly."
+        }
+        if (error.status === 401) {
+            return 'Your session has expired. Please refresh the page.'
+        }
+        if (error.status >= 500) {
+            return 'The chat server is having problems right now. Please try again in a few minutes.'
+        }
+        if (error instanceof TypeError) {
+            return "I can't reach the chat server. Check your internet connection and try again."
+        }
+        return 'Sorry, I encountered an error. Please try again.'
+    }
+
+    /**
+     * Call render with the whole seconds left every second until the time is up
+     * @param {number} ms - Milliseconds to count down
+     * @param {Function} render - Called with the seconds left
+     * @param {Function} [onDone] - Called once the countdown reaches zero
+     * @returns {Function} Stops the countdown
+     */
+    startCountdown(ms, render, onDone = () => {}) {
+        const endsAt = Date.now() + ms
+        const tick = () => {
+            const seconds = Math.ceil((endsAt - Date.now()) / 1000)
+            if (seconds <= 0) {
+                clearInterval(timer)
+                onDone()
+                return
             }
+            render(seconds)
+        }
+        const timer = setInterval(tick, 1000)
+        tick()
+        return () => clearInterval(timer)
+    }
 
-            return this.verifyProcessing(totalChunks)
-        } catch (err) {
-            console.error('An error occurred during text processing:', err)
-            throw err
+    /**
+     * Disable sending and count down until the shared budget allows another question
+     */
+    showRateLimitCountdown() {
+        const waitMs = this.rateBudget.getWaitTime()
+        if (waitMs === 0) return
+
+        const notice = document.getElementById('rate-limit-notice')
+        const submitButton = document.getElementById('submit-btn')
+        this.countdownTimer?.()
+        submitButton.disabled = true
+        notice.hidden = false
+
+        this.countdownTimer = this.startCountdown(waitMs, seconds => {
+            notice.textContent = `You can ask another question in ${seconds}s.`
+        }, () => {
+            this.countdownTimer = null
+            submitButton.disabled = false
+            notice.hidden = true
+        })
+    }
+
+    /**
+     * Get the anonymous id this browser's threads are saved under, creating it on first visit
+     * @returns {string} The client id
+     */
+    getClientId() {
+        let clientId = localStorage.getItem('chatbotClientId')
+        if (!clientId) {
+            clientId = crypto.randomUUID()
+            localStorage.setItem('chatbotClientId', clientId)
         }
+        return clientId
     }
 
     /**
-     * Process an individual chunk of text
-     * @param {Object} chunk - The text chunk to process
-     * @param {number} index - The index of the chunk
+     * Load this browser's saved threads and reopen the one that was active before the reload
      */
-    async processChunk(chunk, index) {
+    async restoreThreads() {
         try {
-            if (index > 0) {
-                await new Promise(resolve => setTimeout(resolve, 2000))
-            }
+            this.threads = await this.apiClient.listThreads(this.knowledgeBase.id)
+        } catch (error) {
+            // Keep chatting without persistence if the conversation tables are missing
+            console.error('Could not load conversation threads:', error)
+            this.threadsEnabled = false
+            document.getElementById('thread-bar').hidden = true
+        }
 
-            const existingChunk = await this.supabaseService.checkExistingChunk(index)
+        const savedThreadId = localStorage.getItem(this.activeThreadKey)
+        if (this.threads.some(thread => thread.id === savedThreadId)) {
+            await this.switchThread(savedThreadId)
+        } else {
+            await this.startNewThread()
+        }
+    }
 
-            if (existingChunk) {
-                console.log(`Chunk ${index} already exists, skipping...`)
-                return
-            }
+    /**
+     * Start a fresh conversation; the server saves the thread once the first question is sent
+     */
+    async startNewThread() {
+        this.leaveConversation()
+        this.setActiveThread(null)
+        this.resetConversationView()
+        this.renderThreadList()
+    }
 
-            const processedChunk = await this.openAIService.processChunk(chunk)
-            await this.supabaseService.insertChunk(processedChunk, index)
+    /**
+     * Open a saved thread and render its messages
+     * The server restores the thread's history into its ChatManager on the next question
+     * @param {string} threadId - The thread to open
+     */
+    async switchThread(threadId) {
+        this.leaveConversation()
+        try {
+            const messages = await this.apiClient.getThreadMessages(threadId)
+
+            this.setActiveThread(threadId)
+            const chatbotConversation = this.resetConversationView()
+            let question = null
+            let questionElement = null
+            let latestTurn = null
+            messages.forEach(message => {
+                if (message.role === 'human') {
+                    question = message.content
+                    questionElement = this.appendMessage(chatbotConversation, message.content, 'human')
+                } else {
+                    const aiMessage = this.appendMessage(chatbotConversation, '', 'ai')
+                    renderMarkdown(aiMessage, message.content)
+                    this.renderSources(aiMessage, message.sources)
+                    if (message.id) this.renderFeedback(aiMessage, message.id)
+                    latestTurn = questionElement && {
+                        question,
+                        questionElement,
+                        answerElement: aiMessage,
+                        messageId: message.id ?? null
+                    }
+                }
+            })
+            this.setLatestTurn(latestTurn)
+            await this.renderThreadTickets(chatbotConversation, threadId)
+            chatbotConversation.scrollTop = chatbotConversation.scrollHeight
+        } catch (error) {
+            console.error('Could not open conversation thread:', error)
+            await this.startNewThread()
+            return
+        }
+        this.renderThreadList()
+    }
+
+    /**
+     * Stop any answer in progress and drop the edit, before showing another thread
+     */
+    leaveConversation() {
+        this.stopAnswer()
+        if (this.editingTurn) this.cancelEdit()
+        this.setLatestTurn(null)
+    }
+
+    /**
+     * Delete the active thread and start a new one
+     */
+    async deleteThread() {
+        if (!this.activeThreadId || !confirm('Delete this conversation?')) return
 
+        try {
+            await this.apiClient.deleteThread(this.activeThreadId)
+            this.threads = this.threads.filter(thread => thread.id !== this.activeThreadId)
         } catch (error) {
-            console.error(`Error processing chunk ${index}:`, error)
+            console.error('Could not delete conversation thread:', error)
+            return
         }
+        await this.startNewThread()
     }
 
     /**
-     * Verify that all chunks were processed correctly
-     * @param {number} totalChunks - Expected number of chunks
-     * @returns {boolean} Whether processing is complete
+     * Record the thread the server saved the latest exchange to and move it to the top
+     * @param {Object} thread - The thread with its id and title
      */
-    async verifyProcessing(totalChunks) {
-        const finalCount = await this.supabaseService.getDocumentCount()
-        const isComplete = finalCount === totalChunks
-        console.log(`Processing ${isComplete ? 'complete' : 'incomplete'}. Processed ${finalCount}/${totalChunks} chunks`)
-        return isComplete
+    trackThread(thread) {
+        if (!this.threadsEnabled) return
+
+        const existing = this.threads.find(({ id }) => id === thread.id)
+        this.threads = [existing ?? thread, ...this.threads.filter(({ id }) => id !== thread.id)]
+        this.setActiveThread(thread.id)
+        this.renderThreadList()
     }
 
     /**
-     * Dispatch an event to update processing status
-     * @param {number} current - Current chunk number
-     * @param {number} total - Total number of chunks
-     * @param {boolean} resuming - Whether processing is being resumed
+     * Remember which thread is open so it can be restored after a reload
+     * @param {string|null} threadId - The active thread, or null for an unsaved new chat
      */
-    dispatchProcessingUpdate(current, total, resuming = false) {
-        window.dispatchEvent(new CustomEvent('processingUpdate', {
-            detail: { current, total, resuming }
-        }))
+    setActiveThread(threadId) {
+        this.activeThreadId = threadId
+        if (threadId) {
+            localStorage.setItem(this.activeThreadKey, threadId)
+        } else {
+            localStorage.removeItem(this.activeThreadKey)
+        }
+    }
+
+    // Each knowledge base reopens its own thread, e.g. when two bots are embedded on one site
+    get activeThreadKey() {
+        return `chatbotActiveThread:${this.knowledgeBase.id}`
     }
 
     /**
-     * Handle a conversation turn (user input and AI response)
+     * Fill the thread selector with the saved threads
      */
-    async progressConversation() {
-        const userInput = document.getElementById('user-input')
+    renderThreadList() {
+        const threadSelect = document.getElementById('thread-select')
+        threadSelect.replaceChildren()
+
+        if (!this.activeThreadId) {
+            threadSelect.appendChild(new Option('New chat', ''))
+        }
+        this.threads.forEach(thread => {
+            threadSelect.appendChild(new Option(thread.title, thread.id))
+        })
+
+        threadSelect.value = this.activeThreadId ?? ''
+        document.getElementById('delete-thread-btn').disabled = !this.activeThreadId
+    }
+
+    /**
+     * Clear the chat container and show the greeting
+     * @returns {HTMLElement} The chat container element
+     */
+    resetConversationView() {
         const chatbotConversation = document.getElementById('chatbot-conversation-container')
-        const question = userInput.value
+        chatbotConversation.replaceChildren()
+        this.appendMessage(chatbotConversation, this.knowledgeBase.greeting, 'ai')
+        return chatbotConversation
+    }
+
+    /**
+     * Render an expandable list of the chunks an answer was based on
+     * @param {HTMLElement} speechBubble - The AI message element
+     * @param {Array<Object>} sources - Sources returned by ChatManager
+     */
+    renderSources(speechBubble, sources) {
+        if (!sources?.length) return
 
+        const details = document.createElement('details')
+        details.classList.add('sources')
+
+        const summary = document.createElement('summary')
+        summary.textContent = `Sources (${sources.length})`
+        details.appendChild(summary)
+
+        const list = document.createElement('ol')
+        sources.forEach(source => {
+            const item = document.createElement('li')
+
+            const meta = document.createElement('span')
+            meta.classList.add('source-meta')
+            const score = typeof source.similarity === 'number'
+                ? ` · ${Math.round(source.similarity * 100)}% match`
+                : ''
+            meta.textContent = `${source.source} · chunk ${source.chunkIndex}${score}`
+
+            const passage = document.createElement('blockquote')
+            passage.textContent = source.content
+
+            item.append(meta, passage)
+            list.appendChild(item)
+        })
+        details.appendChild(list)
+
+        speechBubble.appendChild(details)
+    }
+
+    /**
+     * Add thumbs up/down buttons to an answer, with an optional comment box once rated
+     * @param {HTMLElement} speechBubble - The AI message element
+     * @param {number} messageId - The saved answer's message id
+     */
+    renderFeedback(speechBubble, messageId) {
+        const threadId = this.activeThreadId
+        const feedback = document.createElement('div')
+        feedback.classList.add('feedback')
+
+        const buttons = document.createElement('div')
+        buttons.classList.add('feedback-buttons')
+
+        const form = document.createElement('form')
+        form.classList.add('feedback-comment')
+        form.hidden = true
+
+        const comment = document.createElement('input')
+        comment.type = 'text'
+        comment.maxLength = 2000
+        comment.placeholder = 'What could be better? (optional)'
+        comment.setAttribute('aria-label', 'Feedback comment')
+
+        const send = document.createElement('button')
+        send.type = 'submit'
+        send.classList.add('thread-btn')
+        send.textContent = 'Send'
+
+        const status = document.createElement('span')
+        status.classList.add('feedback-status')
+
+        let rating = null
+        const save = async () => {
+            try {
+                await this.apiClient.sendFeedback({ threadId, messageId, rating, comment: comment.value })
+                status.textContent = 'Thanks for the feedback!'
+            } catch (error) {
+                console.error('Could not save feedback:', error)
+                status.textContent = 'Sorry, your feedback could not be saved.'
+            }
+        }
+
+        const ratingButtons = [['up', '👍', 'Helpful'], ['down', '👎', 'Not helpful']].map(([value, icon, label]) => {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.classList.add('feedback-btn')
+            button.textContent = icon
+            button.title = label
+            button.setAttribute('aria-label', label)
+            button.setAttribute('aria-pressed', 'false')
+            button.addEventListener('click', async () => {
+                rating = value
+                ratingButtons.forEach(other => other.setAttribute('aria-pressed', String(other === button)))
+                form.hidden = false
+                await save()
+            })
+            return button
+        })
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault()
+            send.disabled = true
+            await save()
+            form.hidden = true
+            send.disabled = false
+        })
+
+        buttons.append(...ratingButtons, status)
+        form.append(comment, send)
+        feedback.append(buttons, form)
+        speechBubble.appendChild(feedback)
+    }
+
+    /**
+     * Offer to pass an unanswered question to the support team
+     * @param {HTMLElement} speechBubble - The AI message element
+     * @param {string} reason - Why ChatManager offered the handoff
+     */
+    renderHandoffForm(speechBubble, reason) {
+        const form = document.createElement('form')
+        form.classList.add('handoff-form')
+
+        const prompt = document.createElement('p')
+        prompt.textContent = `Would you like someone from the ${this.knowledgeBase.name} team to follow up by email?`
+
+        const email = document.createElement('input')
+        email.type = 'email'
+        email.required = true
+        email.placeholder = 'Your email'
+        email.setAttribute('aria-label', 'Your email')
+
+        const note = document.createElement('textarea')
+        note.maxLength = 2000
+        note.rows = 2
+        note.placeholder = 'Anything else we should know? (optional)'
+        note.setAttribute('aria-label', 'Note for the support team')
+
+        const submit = document.createElement('button')
+        submit.type = 'submit'
+        submit.classList.add('thread-btn')
+        submit.textContent = 'Create ticket'
+
+        const error = document.createElement('p')
+        error.classList.add('handoff-error')
+
+        form.append(prompt, email, note, submit, error)
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault()
+            submit.disabled = true
+            error.textContent = ''
+            try {
+                const ticket = await this.apiClient.createTicket({
+                    threadId: this.activeThreadId,
+                    email: email.value,
+                    note: note.value,
+                    reason
+                })
+                form.replaceWith(this.createTicketCard(ticket))
+            } catch (err) {
+                console.error('Could not create support ticket:', err)
+                error.textContent = err.status === 400
+                    ? err.message
+                    : `Sorry, the ticket could not be created. Please email ${this.knowledgeBase.escalationContact} instead.`
+                submit.disabled = false
+            }
+        })
+
+        speechBubble.appendChild(form)
+    }
+
+    /**
+     * Show the support tickets raised from a thread below its messages
+     * @param {HTMLElement} container - The chat container element
+     * @param {string} threadId - The thread being shown
+     */
+    async renderThreadTickets(container, threadId) {
+        let tickets = []
         try {
-            // Clear input and show user message
-            userInput.value = ''
-            this.appendMessage(chatbotConversation, question, 'human')
-            const aiMessage = this.appendMessage(chatbotConversation, 'Thinking...', 'ai')
-
-            // Get AI response and update message
-            const response = await this.chatManager.processUserInput(question)
-            aiMessage.innerHTML = response
+            tickets = await this.apiClient.listTickets()
         } catch (error) {
-            console.error('Error in conversation:', error)
-            const errorMessage = 'Sorry, I encountered an error. Please try again.'
-            if (aiMessage) {
-                aiMessage.textContent = errorMessage
-            } else {
-                this.appendMessage(chatbotConversation, errorMessage, 'ai')
-            }
+            console.error('Could not load support tickets:', error)
         }
+
+        tickets
+            .filter(ticket => ticket.conversation_id === threadId)
+            .forEach(ticket => {
+                const aiMessage = this.appendMessage(container, `You asked the ${this.knowledgeBase.name} team to follow up on this conversation.`, 'ai')
+                aiMessage.appendChild(this.createTicketCard(ticket))
+            })
+    }
+
+    /**
+     * Build the card showing a ticket's status, with a button to refresh it
+     * @param {Object} ticket - The ticket with its id and status
+     * @returns {HTMLElement} The card element
+     */
+    createTicketCard(ticket) {
+        const card = document.createElement('div')
+        card.classList.add('ticket')
+
+        const label = document.createElement('span')
+        const showStatus = status => {
+            label.textContent = `Support ticket ${ticket.id.slice(0, 8)} · ${TICKET_STATUS_LABELS[status] ?? status}`
+        }
+        showStatus(ticket.status)
+
+        const refresh = document.createElement('button')
+        refresh.type = 'button'
+        refresh.classList.add('thread-btn')
+        refresh.textContent = 'Check status'
+        refresh.addEventListener('click', async () => {
+            refresh.disabled = true
+            try {
+                const { status } = await this.apiClient.getTicket(ticket.id)
+                showStatus(status)
+            } catch (error) {
+                console.error('Could not check support ticket:', error)
+            }
+            refresh.disabled = false
+        })
+
+        card.append(label, refresh)
+        return card
     }
 
     /**
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+// Headless ingestion command: indexes the knowledge base sources into the vector store
+import { readFile } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { getProviderConfig, getStorageConfig, loadServerEnv } from './serverEnv.js'
+import { getRateLimitConfig, loadBotConfig } from './botConfig.js'
+import { RateLimiter } from './rateLimit.js'
+import { OpenAIService } from './openAIService.js'
+import { IngestionService } from './ingestionService.js'
+import { createStorage } from './storage.js'
+
+const rootDir = dirname(fileURLToPath(import.meta.url))
+
+const usage = `Usage: npm run ingest -- [options]
+
+Options:
+  --source <name>   Only ingest this source (repeatable). Defaults to every source in the manifest
+  --reset           Drop the selected sources' chunks and re-embed them from scratch
+  --remove <name>   Delete a source's chunks once it is out of the manifest (repeatable)
+  --dry-run         Report what would change without embedding or writing anything
+  --manifest <path> Knowledge base manifest (default: ./knowledge-base.json)
+  --concurrency <n> Embedding requests in flight at once (default: 2)
+  --rpm <n>         Embedding requests allowed per minute (default: rateLimits in bot.config.json)
+  --tpm <n>         Embedding tokens allowed per minute (default: rateLimits in bot.config.json)
+  -h, --help        Show this message`
+
+/**
+ * Parse command line options
+ * @returns {Object} The parsed options
+ */
+function parseOptions() {
+    const { values } = parseArgs({
+        options: {
+            source: { type: 'string', multiple: true },
+            reset: { type: 'boolean', default: false },
+            remove: { type: 'string', multiple: true },
+            'dry-run': { type: 'boolean', default: false },
+            manifest: { type: 'string', default: './knowledge-base.json' },
+            concurrency: { type: 'string', default: '2' },
+            rpm: { type: 'string' },
+            tpm: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    })
+
+    const concurrency = parseInt(values.concurrency, 10)
+    const rpm = values.rpm === undefined ? null : parseInt(values.rpm, 10)
+    const tpm = values.tpm === undefined ? null : parseInt(values.tpm, 10)
+    if (!(concurrency > 0) || (rpm !== null && !(rpm > 0)) || (tpm !== null && !(tpm > 0))) {
+        throw new Error('--concurrency, --rpm and --tpm must be positive integers')
+    }
+    if (values.remove && (values.source || values.reset)) {
+        throw new Error('--remove cannot be combined with --source or --reset')
+    }
+
+    return {
+        sources: values.source ?? [],
+        reset: values.reset,
+        remove: values.remove ?? [],
+        dryRun: values['dry-run'],
+        manifest: values.manifest,
+        concurrency,
+        rpm,
+        tpm,
+        help: values.help
+    }
+}
+
+/**
+ * Build the services from the server-side environment
+ * SUPABASE_SERVICE_ROLE_KEY is preferred for writes when it is set
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<IngestionService>} The configured ingestion service
+ */
+async function createIngestionService(options) {
+    const env = await loadServerEnv(rootDir)
+    const storageConfig = getStorageConfig(env, { preferServiceRole: true })
+    if (storageConfig.filePath) storageConfig.filePath = resolve(rootDir, storageConfig.filePath)
+
+    const botConfig = await loadBotConfig(rootDir, env)
+    const openAIService = new OpenAIService(getProviderConfig(env, botConfig))
+    const { storageService } = createStorage(storageConfig, openAIService.embeddings)
+    const { embeddings: budget } = getRateLimitConfig(botConfig)
+
+    return new IngestionService({
+        openAIService,
+        storageService,
+        loadText: path => readFile(resolve(rootDir, path), 'utf8'),
+        manifestPath: options.manifest,
+        rateLimiter: new RateLimiter({
+            requestsPerMinute: options.rpm ?? budget.requestsPerMinute,
+            tokensPerMinute: options.tpm ?? budget.tokensPerMinute
+        }),
+        concurrency: options.concurrency
+    })
+}
+
+/**
+ * Print ingestion progress, rewriting the same line on a terminal
+ * @param {Object} progress - Progress reported by IngestionService
+ */
+function printProgress({ source, current, total, resuming }) {
+    const line = `${source}: ${current}/${total} chunks${resuming ? ' (resumed)' : ''}`
+    if (process.stdout.isTTY) {
+        process.stdout.write(`\r${line}`)
+        if (current === total) process.stdout.write('\n')
+    } else {
+        console.log(line)
+    }
+}
+
+/**
+ * Delete the chunks of sources that have been taken out of the manifest
+ * @param {IngestionService} ingestionService - The configured ingestion service
+ * @param {Array<Object>} manifestSources - Sources still in the manifest
+ * @param {Object} options - Parsed command line options
+ */
+async function removeSources(ingestionService, manifestSources, options) {
+    for (const name of options.remove) {
+        if (manifestSources.some(source => source.name === name)) {
+            throw new Error(`${name} is still in the manifest; take it out first, or it will be indexed again`)
+        }
+    }
+
+    for (const name of options.remove) {
+        const stored = await ingestionService.storageService.getDocumentCount(name)
+        if (options.dryRun) {
+            console.log(`[dry run] ${name}: would delete ${stored} stored chunks`)
+        } else if (stored === 0) {
+            console.log(`${name}: nothing stored`)
+        } else {
+            await ingestionService.removeSource(name)
+        }
+    }
+}
+
+async function main() {
+    const options = parseOptions()
+    if (options.help) {
+        console.log(usage)
+        return
+    }
+
+    const ingestionService = await createIngestionService(options)
+    const manifestSources = await ingestionService.loadManifest()
+    if (options.remove.length > 0) {
+        await removeSources(ingestionService, manifestSources, options)
+        return
+    }
+
+    const sources = options.sources.length > 0
+        ? await Promise.all(options.sources.map(name => ingestionService.getSource(name)))
+        : manifestSources
+
+    let allComplete = true
+    for (const source of sources) {
+        if (options.dryRun) {
+            const report = await ingestionService.previewSource(source)
+            const stored = await ingestionService.storageService.getDocumentCount(source.name)
+            console.log(options.reset
+                ? `[dry run] ${source.name}: would delete ${stored} stored chunks and embed ${report.totalChunks}`
+                : `[dry run] ${ingestionService.formatDiffReport(report)}`)
+            continue
+        }
+
+        if (options.reset) {
+            console.log(`Resetting ${source.name}...`)
+        }
+
+        const report = await ingestionService.reindexSource(source.name, {
+            force: options.reset,
+            onProgress: printProgress
+        })
+        allComplete = allComplete && report.isComplete
+    }
+
+    if (!allComplete) {
+        console.error('Some chunks could not be indexed. Run the command again to retry them.')
+        process.exitCode = 1
+    }
+}
+
+main().catch(error => {
+    console.error(error.message ?? error)
+    process.exitCode = 1
+})
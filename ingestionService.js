@@ -0,0 +1,545 @@
+import { estimateTokens } from './tokens.js'
+
+/**
+ * Load a text file over HTTP
+ * @param {string} path - Path or URL of the file
+ * @returns {Promise<string>} The file contents
+ */
+async function fetchText(path) {
+    const response = await fetch(path)
+    if (!response.ok) {
+        throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`)
+    }
+    return await response.text()
+}
+
+/**
+ * Hash chunk content so unchanged chunks can be recognised on re-index
+ * @param {string} text - The chunk content
+ * @returns {Promise<string>} Hex encoded SHA-256 digest
+ */
+async function hashContent(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * IngestionService Class
+ * Indexes every source listed in the knowledge base manifest into the
+ * documents table, tracking progress for each source independently
+ */
+export class IngestionService {
+    /**
+     * Initialize the IngestionService with necessary services
+     * @param {Object} config - Service configuration
+     * @param {OpenAIService} config.openAIService - Service for splitting and embedding text
+     * @param {SupabaseService|LocalStorageService} config.storageService - Storage backend for chunks
+     * @param {Function} [config.loadText] - Loads the text at a path, defaults to fetch
+     * @param {string} [config.manifestPath] - Location of the knowledge base manifest
+     * @param {RateLimiter} [config.rateLimiter] - Throttles embedding requests
+     * @param {number} [config.batchTokenBudget] - Maximum estimated tokens per embedding request
+     * @param {number} [config.maxBatchSize] - Maximum chunks per embedding request
+     * @param {number} [config.concurrency] - Embedding requests allowed in flight at once
+     */
+    constructor({
+        openAIService,
+        storageService,
+        loadText = fetchText,
+        manifestPath = './knowledge-base.json',
+        rateLimiter = null,
+        batchTokenBudget = 8000,
+        maxBatchSize = 100,
+        concurrency = 2
+    }) {
+        this.openAIService = openAIService
+        this.storageService = storageService
+        this.loadText = loadText
+        this.manifestPath = manifestPath
+        this.rateLimiter = rateLimiter
+        this.batchTokenBudget = batchTokenBudget
+        this.maxBatchSize = maxBatchSize
+        this.concurrency = concurrency
+    }
+
+    /**
+     * Load and validate the knowledge base manifest
+     * Each knowledge base is one bot with its own sources, persona, greeting
+     * and escalation contact; the first one is the default. Source names must
+     * be unique across all of them, since chunks are stored by source name.
+     * @returns {Promise<Array<Object>>} The knowledge bases, with the default persona and greeting filled in
+     */
+    async loadKnowledgeBases() {
+        const manifest = JSON.parse(await this.loadText(this.manifestPath))
+        const knowledgeBases = manifest?.knowledgeBases
+
+        if (!Array.isArray(knowledgeBases) || knowledgeBases.length === 0) {
+            throw new Error(`${this.manifestPath} must contain a non-empty "knowledgeBases" array`)
+        }
+
+        const ids = new Set()
+        const names = new Set()
+        return knowledgeBases.map((knowledgeBase, index) => {
+            const { id, name, persona, greeting, escalationContact, sources } = knowledgeBase ?? {}
+            if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+                throw new Error(`Knowledge base ${index} in ${this.manifestPath} needs an "id" made of letters, digits, "-" and "_"`)
+            }
+            if (ids.has(id)) {
+                throw new Error(`Duplicate knowledge base id "${id}" in ${this.manifestPath}`)
+            }
+            if (!name || !escalationContact) {
+                throw new Error(`Knowledge base "${id}" in ${this.manifestPath} needs both a "name" and an "escalationContact"`)
+            }
+            if (!Array.isArray(sources)) {
+                throw new Error(`Knowledge base "${id}" in ${this.manifestPath} must contain a "sources" array`)
+            }
+            ids.add(id)
+
+            sources.forEach((source, sourceIndex) => {
+                if (!source?.name || !source?.path) {
+                    throw new Error(`Source ${sourceIndex} of "${id}" in ${this.manifestPath} needs both a "name" and a "path"`)
+                }
+                if (names.has(source.name)) {
+                    throw new Error(`Duplicate source name "${source.name}" in ${this.manifestPath}`)
+                }
+                if (source.splitter && !this.openAIService.splitters?.[source.splitter]) {
+                    throw new Error(`Source "${source.name}" in ${this.manifestPath} has an unknown splitter "${source.splitter}"`)
+                }
+                names.add(source.name)
+            })
+
+            return {
+                id,
+                name,
+                persona: persona || `a helpful and enthusiastic support bot who can answer questions about ${name}`,
+                greeting: greeting || `Hi! I'm ready to answer your questions about ${name}. What would you like to know?`,
+                escalationContact,
+                sources: sources.map(source => ({ ...source, knowledgeBase: id }))
+            }
+        })
+    }
+
+    /**
+     * Every source in the manifest
+     * @returns {Promise<Array<Object>>} The sources to index, each with a name, path, optional splitter and its knowledgeBase id
+     */
+    async loadManifest() {
+        const knowledgeBases = await this.loadKnowledgeBases()
+        return knowledgeBases.flatMap(knowledgeBase => knowledgeBase.sources)
+    }
+
+    /**
+     * Find a knowledge base in the manifest
+     * @param {string} [id] - Its id; the default knowledge base when omitted
+     * @returns {Promise<Object|null>} The knowledge base, or null when no knowledge base has that id
+     */
+    async getKnowledgeBase(id) {
+        const knowledgeBases = await this.loadKnowledgeBases()
+        if (!id) return knowledgeBases[0]
+        return knowledgeBases.find(knowledgeBase => knowledgeBase.id === id) ?? null
+    }
+
+    /**
+     * Find a single source in the manifest
+     * @param {string} name - Name of the source
+     * @returns {Promise<Object>} The manifest entry
+     */
+    async getSource(name) {
+        const sources = await this.loadManifest()
+        const source = sources.find(entry => entry.name === name)
+        if (!source) {
+            throw new Error(`Unknown source "${name}". Add it to ${this.manifestPath} first.`)
+        }
+        return source
+    }
+
+    /**
+     * Split a source into document chunks with its splitter and hash each one
+     * @param {Object} source - The manifest entry
+     * @returns {Promise<Array>} Array of document chunks with a contentHash
+     */
+    async loadChunks(source) {
+        const text = await this.loadText(source.path)
+        const documentChunks = await this.openAIService.createDocumentChunks(text, source.splitter)
+        for (const chunk of documentChunks) {
+            chunk.contentHash = await hashContent(chunk.pageContent)
+        }
+        return documentChunks
+    }
+
+    /**
+     * Compare a source's current chunks with what is stored for it
+     * Chunks are matched by content hash, so edits only touch the chunks they change
+     * @param {Object} source - The manifest entry
+     * @returns {Promise<Object>} Plan with the chunks to embed, move and delete
+     */
+    async planSource(source) {
+        const documentChunks = await this.loadChunks(source)
+        const storedChunks = await this.storageService.getSourceChunks(source.name)
+
+        // Group stored rows by hash; rows indexed before hashes were stored get one from their content
+        const storedByHash = new Map()
+        const storedIndexes = new Set()
+        for (const row of storedChunks) {
+            const contentHash = row.metadata?.contentHash ?? await hashContent(row.content)
+            if (!storedByHash.has(contentHash)) storedByHash.set(contentHash, [])
+            storedByHash.get(contentHash).push(row)
+            storedIndexes.add(row.metadata?.chunkIndex)
+        }
+
+        const toEmbed = []
+        const toMove = []
+        let unchanged = 0
+
+        documentChunks.forEach((chunk, index) => {
+            const match = storedByHash.get(chunk.contentHash)?.shift()
+            if (!match) {
+                toEmbed.push({ chunk, index, status: storedIndexes.has(index) ? 'changed' : 'added' })
+            } else if (
+                match.metadata?.chunkIndex !== index ||
+                !match.metadata?.contentHash ||
+                match.metadata?.knowledgeBase !== source.knowledgeBase ||
+                this.hasStaleStructure(match, chunk)
+            ) {
+                toMove.push({ row: match, chunk, index })
+            } else {
+                unchanged++
+            }
+        })
+
+        // Whatever is left no longer appears in the source
+        const toDelete = [...storedByHash.values()].flat()
+
+        return {
+            source: source.name,
+            totalChunks: documentChunks.length,
+            indexedChunks: storedChunks.length,
+            unchanged,
+            toEmbed,
+            toMove,
+            toDelete
+        }
+    }
+
+    /**
+     * Work out how far indexing of a source has progressed
+     * @param {Object} source - The manifest entry
+     * @returns {Promise<Object>} Status with expected and indexed chunk counts
+     */
+    async getSourceStatus(source) {
+        const plan = await this.planSource(source)
+
+        return {
+            source: source.name,
+            knowledgeBase: source.knowledgeBase,
+            expectedChunks: plan.totalChunks,
+            indexedChunks: plan.indexedChunks,
+            isComplete: plan.toEmbed.length === 0 && plan.toMove.length === 0 && plan.toDelete.length === 0
+        }
+    }
+
+    /**
+     * Cheaply check whether every source of a knowledge base has been indexed
+     * Only counts stored chunks (no splitting or embedding), so the server can
+     * answer GET /api/ingest/status with it on every page load
+     * @param {string} [knowledgeBaseId] - Only check this knowledge base's sources; every source when omitted
+     * @returns {Promise<Object>} { ready, missing } where missing lists unindexed source names
+     */
+    async checkReadiness(knowledgeBaseId) {
+        const sources = (await this.loadManifest())
+            .filter(source => !knowledgeBaseId || source.knowledgeBase === knowledgeBaseId)
+        const missing = []
+        for (const source of sources) {
+            const count = await this.storageService.getDocumentCount(source.name)
+            if (!count) missing.push(source.name)
+        }
+        return { ready: missing.length === 0, missing, total: sources.length }
+    }
+
+    /**
+     * Describe what ingesting a source would change without embedding or writing anything
+     * @param {Object} source - The manifest entry
+     * @returns {Promise<Object>} Diff report of the pending changes
+     */
+    async previewSource(source) {
+        const plan = await this.planSource(source)
+        const report = this.createDiffReport(plan, [])
+        report.isComplete = plan.toEmbed.length === 0 && plan.toMove.length === 0 && plan.toDelete.length === 0
+        return report
+    }
+
+    /**
+     * Get the indexing status of every source in the manifest
+     * @returns {Promise<Array<Object>>} One status per source
+     */
+    async getStatus() {
+        const sources = await this.loadManifest()
+        const statuses = []
+        for (const source of sources) {
+            statuses.push(await this.getSourceStatus(source))
+        }
+        return statuses
+    }
+
+    /**
+     * Bring every source in the manifest up to date
+     * @param {Object} [options] - Ingestion options
+     * @param {Function} [options.onProgress] - Called with { source, current, total, resuming }
+     * @returns {Promise<Array<Object>>} One diff report per source
+     */
+    async ingestAll({ onProgress } = {}) {
+        const sources = await this.loadManifest()
+        const reports = []
+        for (const source of sources) {
+            reports.push(await this.ingestSource(source, { onProgress }))
+        }
+        return reports
+    }
+
+    /**
+     * Bring a single source up to date
+     * Only added or changed chunks are embedded, moved chunks get their new index
+     * and chunks that no longer appear in the source are deleted
+     * @param {Object} source - The manifest entry
+     * @param {Object} [options] - Ingestion options
+     * @param {Function} [options.onProgress] - Called with { source, current, total, resuming }
+     * @returns {Promise<Object>} Diff report describing what changed
+     */
+    async ingestSource(source, { onProgress = () => {} } = {}) {
+        try {
+            const plan = await this.planSource(source)
+            const resuming = plan.indexedChunks > 0
+            let processedCount = plan.totalChunks - plan.toEmbed.length
+
+            onProgress({ source: source.name, current: processedCount, total: plan.totalChunks, resuming })
+
+            const failed = await this.embedChunks(source, plan.toEmbed, (storedCount) => {
+                processedCount += storedCount
+                onProgress({ source: source.name, current: processedCount, total: plan.totalChunks, resuming })
+            })
+
+            if (plan.toMove.length > 0) {
+                await this.storageService.upsertChunkMetadata(plan.toMove.map(({ row, chunk, index }) => ({
+                    id: row.id,
+                    metadata: {
+                        ...row.metadata,
+                        section: undefined,
+                        question: undefined,
+                        ...this.getStructureMetadata(chunk),
+                        knowledgeBase: source.knowledgeBase,
+                        chunkIndex: index,
+                        contentHash: chunk.contentHash
+                    }
+                })))
+            }
+
+            if (plan.toDelete.length > 0) {
+                await this.storageService.deleteChunks(plan.toDelete.map(row => row.id))
+            }
+
+            const report = this.createDiffReport(plan, failed)
+            report.isComplete = await this.verifyProcessing(source, plan.totalChunks) && failed.length === 0
+            console.log(this.formatDiffReport(report))
+            return report
+        } catch (err) {
+            console.error(`An error occurred while processing ${source.name}:`, err)
+            throw err
+        }
+    }
+
+    /**
+     * Summarise what an ingestion run changed for a source
+     * @param {Object} plan - Plan returned by planSource
+     * @param {Array<number>} failed - Indexes of chunks that could not be embedded
+     * @returns {Object} Diff report
+     */
+    createDiffReport(plan, failed) {
+        const embedded = plan.toEmbed.filter(({ index }) => !failed.includes(index))
+        const changed = embedded.filter(({ status }) => status === 'changed').map(({ index }) => index)
+        return {
+            source: plan.source,
+            totalChunks: plan.totalChunks,
+            added: embedded.filter(({ status }) => status === 'added').map(({ index }) => index),
+            changed,
+            moved: plan.toMove.map(({ row, index }) => ({ from: row.metadata?.chunkIndex, to: index })),
+            // Old versions of changed chunks are replaced rather than removed
+            removed: plan.toDelete
+                .map(row => row.metadata?.chunkIndex)
+                .filter(index => !changed.includes(index)),
+            unchanged: plan.unchanged,
+            failed
+        }
+    }
+
+    /**
+     * Format a diff report for logging
+     * @param {Object} report - Report returned by ingestSource
+     * @returns {string} Human readable summary
+     */
+    formatDiffReport(report) {
+        const list = indexes => indexes.length ? ` [${indexes.join(', ')}]` : ''
+        return [
+            `Index report for ${report.source} (${report.totalChunks} chunks):`,
+            `  added:     ${report.added.length}${list(report.added)}`,
+            `  changed:   ${report.changed.length}${list(report.changed)}`,
+            `  moved:     ${report.moved.length}${list(report.moved.map(({ from, to }) => `${from}->${to}`))}`,
+            `  removed:   ${report.removed.length}${list(report.removed)}`,
+            `  unchanged: ${report.unchanged}`,
+            `  failed:    ${report.failed.length}${list(report.failed)}`
+        ].join('\n')
+    }
+
+    /**
+     * Re-index a single source
+     * Incremental by default; pass force to drop its chunks and rebuild from scratch
+     * @param {string} name - Name of the source
+     * @param {Object} [options] - Ingestion options passed to ingestSource
+     * @param {boolean} [options.force] - Re-embed every chunk
+     * @returns {Promise<Object>} Diff report describing what changed
+     */
+    async reindexSource(name, { force = false, ...options } = {}) {
+        const source = await this.getSource(name)
+        if (force) {
+            await this.storageService.deleteSource(source.name)
+        }
+        return this.ingestSource(source, options)
+    }
+
+    /**
+     * Remove every chunk belonging to a source
+     * Works for sources that have already been taken out of the manifest
+     * @param {string} name - Name of the source
+     */
+    async removeSource(name) {
+        await this.storageService.deleteSource(name)
+        console.log(`Removed all chunks for ${name}`)
+    }
+
+    /**
+     * Embed one stored chunk again, on the same rate-limited, retried path as indexing
+     * @param {Object} chunk - The stored row, with id, content and metadata
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Cancels the request and any wait or retry
+     * @returns {Promise<Object>} The chunk's updated metadata
+     */
+    async reembedChunk(chunk, { signal } = {}) {
+        const [processed] = await this.openAIService.processChunks([{ pageContent: chunk.content }], {
+            signal,
+            rateLimiter: this.rateLimiter ?? undefined
+        })
+        const metadata = { ...chunk.metadata, timestamp: new Date().toISOString() }
+        await this.storageService.updateChunkEmbedding(chunk.id, processed.embedding, metadata)
+        return metadata
+    }
+
+    /**
+     * Pick the structure a splitter recorded on a chunk (FAQ section and question)
+     * @param {Document} chunk - A document chunk
+     * @returns {Object} The section and question keys that are set
+     */
+    getStructureMetadata(chunk) {
+        const structure = {}
+        if (chunk.metadata?.section) structure.section = chunk.metadata.section
+        if (chunk.metadata?.question) structure.question = chunk.metadata.question
+        return structure
+    }
+
+    /**
+     * Check whether a stored row's section or question no longer matches its chunk,
+     * e.g. after a heading was renamed or the source switched splitters
+     * @param {Object} row - Stored row
+     * @param {Document} chunk - Current chunk with the same content
+     * @returns {boolean}
+     */
+    hasStaleStructure(row, chunk) {
+        const structure = this.getStructureMetadata(chunk)
+        return row.metadata?.section !== structure.section || row.metadata?.question !== structure.question
+    }
+
+    /**
+     * Group chunks into embedding requests that fit the token budget
+     * A single chunk larger than the budget still gets a batch of its own
+     * @param {Array<Object>} items - Entries from a plan's toEmbed list
+     * @returns {Array<Array<Object>>} Batches of entries
+     */
+    createBatches(items) {
+        const batches = []
+        let batch = []
+        let batchTokens = 0
+
+        for (const item of items) {
+            const tokens = estimateTokens(item.chunk.pageContent)
+            const isFull = batch.length >= this.maxBatchSize || batchTokens + tokens > this.batchTokenBudget
+            if (batch.length > 0 && isFull) {
+                batches.push(batch)
+                batch = []
+                batchTokens = 0
+            }
+            batch.push(item)
+            batchTokens += tokens
+        }
+
+        if (batch.length > 0) batches.push(batch)
+        return batches
+    }
+
+    /**
+     * Embed chunks in batches and store them with bulk inserts
+     * Up to `concurrency` batches run at once, each waiting on the rate limiter
+     * @param {Object} source - The manifest entry the chunks belong to
+     * @param {Array<Object>} items - Entries from a plan's toEmbed list
+     * @param {Function} onStored - Called with the number of chunks each finished batch covered
+     * @returns {Promise<Array<number>>} Indexes of chunks that could not be stored
+     */
+    async embedChunks(source, items, onStored = () => {}) {
+        const batches = this.createBatches(items)
+        const failed = []
+        let nextBatch = 0
+
+        const worker = async () => {
+            while (nextBatch < batches.length) {
+                const batch = batches[nextBatch++]
+                try {
+                    const processedChunks = await this.openAIService.processChunks(batch.map(({ chunk }) => chunk), {
+                        rateLimiter: this.rateLimiter ?? undefined
+                    })
+                    const timestamp = new Date().toISOString()
+                    await this.storageService.insertChunks(processedChunks.map((processedChunk, i) => ({
+                        content: processedChunk.content,
+                        metadata: {
+                            source: source.name,
+                            knowledgeBase: source.knowledgeBase,
+                            chunkIndex: batch[i].index,
+                            length: processedChunk.content.length,
+                            contentHash: batch[i].chunk.contentHash,
+                            ...this.getStructureMetadata(batch[i].chunk),
+                            timestamp
+                        },
+                        embedding: processedChunk.embedding
+                    })))
+                } catch (error) {
+                    const indexes = batch.map(({ index }) => index)
+                    console.error(`Error processing chunks ${indexes.join(', ')} of ${source.name}:`, error)
+                    failed.push(...indexes)
+                }
+                onStored(batch.length)
+            }
+        }
+
+        const workerCount = Math.min(this.concurrency, batches.length)
+        await Promise.all(Array.from({ length: workerCount }, worker))
+        return failed.sort((a, b) => a - b)
+    }
+
+    /**
+     * Verify that all chunks of a source were processed correctly
+     * @param {Object} source - The manifest entry
+     * @param {number} totalChunks - Expected number of chunks
+     * @returns {Promise<boolean>} Whether processing is complete
+     */
+    async verifyProcessing(source, totalChunks) {
+        const finalCount = await this.storageService.getDocumentCount(source.name)
+        const isComplete = finalCount === totalChunks
+        console.log(`Processing of ${source.name} ${isComplete ? 'complete' : 'incomplete'}. Processed ${finalCount}/${totalChunks} chunks`)
+        return isComplete
+    }
+}
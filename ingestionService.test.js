@@ -0,0 +1,95 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHash } from 'node:crypto'
+import { IngestionService } from './ingestionService.js'
+
+const source = { name: 'faq.txt', path: 'faq.txt', knowledgeBase: 'scrimba' }
+const hash = text => createHash('sha256').update(text).digest('hex')
+
+/**
+ * An IngestionService whose source splits into one chunk per line
+ * @param {Array<string>} lines - The source's current chunks
+ * @param {Array<Object>} storedRows - The rows already indexed for it
+ * @returns {IngestionService}
+ */
+function createService(lines, storedRows) {
+    return new IngestionService({
+        openAIService: {
+            createDocumentChunks: async text => text.split('\n').map(pageContent => ({ pageContent, metadata: {} }))
+        },
+        storageService: { getSourceChunks: async () => storedRows },
+        loadText: async () => lines.join('\n')
+    })
+}
+
+/**
+ * Rows as ingestSource stores them, one per chunk
+ * @param {Array<string>} lines - The indexed chunks
+ * @returns {Array<Object>}
+ */
+function storedRows(lines) {
+    return lines.map((content, chunkIndex) => ({
+        id: `row-${chunkIndex}`,
+        content,
+        metadata: { source: source.name, knowledgeBase: source.knowledgeBase, chunkIndex, contentHash: hash(content) }
+    }))
+}
+
+test('an unchanged source has nothing to embed, move or delete', async () => {
+    const lines = ['Alpha', 'Bravo', 'Charlie']
+    const plan = await createService(lines, storedRows(lines)).planSource(source)
+
+    assert.equal(plan.unchanged, 3)
+    assert.deepEqual([plan.toEmbed, plan.toMove, plan.toDelete], [[], [], []])
+})
+
+test('chunks are matched by content, so an insert moves the chunks after it', async () => {
+    const service = createService(['New', 'Alpha', 'Bravo edited', 'Delta'], storedRows(['Alpha', 'Bravo', 'Charlie', 'Delta']))
+    const plan = await service.planSource(source)
+
+    assert.deepEqual(plan.toEmbed.map(({ index, status }) => [index, status]), [[0, 'changed'], [2, 'changed']])
+    assert.deepEqual(plan.toMove.map(({ row, index }) => [row.id, index]), [['row-0', 1]])
+    assert.deepEqual(plan.toDelete.map(row => row.id), ['row-1', 'row-2'])
+    assert.equal(plan.unchanged, 1)
+
+    assert.deepEqual(service.createDiffReport(plan, []), {
+        source: 'faq.txt',
+        totalChunks: 4,
+        added: [],
+        changed: [0, 2],
+        moved: [{ from: 0, to: 1 }],
+        // Chunk 2's old version is replaced, not removed
+        removed: [1],
+        unchanged: 1,
+        failed: []
+    })
+})
+
+test('chunks past the end of the stored source count as added', async () => {
+    const plan = await createService(['Alpha', 'Bravo'], storedRows(['Alpha'])).planSource(source)
+
+    assert.deepEqual(plan.toEmbed.map(({ index, status }) => [index, status]), [[1, 'added']])
+})
+
+test('duplicate chunks each keep one stored row', async () => {
+    const plan = await createService(['Same', 'Same'], storedRows(['Same', 'Same', 'Same'])).planSource(source)
+
+    assert.equal(plan.unchanged, 2)
+    assert.deepEqual(plan.toDelete.map(row => row.id), ['row-2'])
+})
+
+test('rows indexed before content hashes are moved to record one, not re-embedded', async () => {
+    const rows = storedRows(['Alpha']).map(row => ({ ...row, metadata: { ...row.metadata, contentHash: undefined } }))
+    const plan = await createService(['Alpha'], rows).planSource(source)
+
+    assert.deepEqual(plan.toEmbed, [])
+    assert.deepEqual(plan.toMove.map(({ row, index }) => [row.id, index]), [['row-0', 0]])
+})
+
+test('the diff report leaves out chunks that failed to embed', async () => {
+    const service = createService(['Alpha', 'Bravo'], [])
+    const report = service.createDiffReport(await service.planSource(source), [1])
+
+    assert.deepEqual(report.added, [0])
+    assert.deepEqual(report.failed, [1])
+})
@@ -0,0 +1,500 @@
+import { randomUUID } from 'node:crypto'
+import { VectorStore } from 'langchain/vectorstores/base'
+import { Document } from 'langchain/document'
+import { tokenizeWords } from './tokens.js'
+
+/**
+ * Check whether a JSON value contains another, following Postgres' jsonb `@>`:
+ * objects match when every key in the pattern is contained, arrays when every
+ * pattern element is contained in some element, and scalars when equal
+ * @param {*} target - The stored value, e.g. a chunk's metadata
+ * @param {*} pattern - The filter
+ * @returns {boolean} Whether target @> pattern
+ */
+export function jsonContains(target, pattern) {
+    if (Array.isArray(pattern)) {
+        return Array.isArray(target) && pattern.every(item => target.some(value => jsonContains(value, item)))
+    }
+    if (pattern !== null && typeof pattern === 'object') {
+        return target !== null && typeof target === 'object' && !Array.isArray(target) &&
+            Object.entries(pattern).every(([key, value]) => key in target && jsonContains(target[key], value))
+    }
+    return target === pattern
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0
+    let normA = 0
+    let normB = 0
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i]
+        normA += a[i] * a[i]
+        normB += b[i] * b[i]
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+/**
+ * LocalDatabase Class
+ * In-memory tables mirroring the Supabase schema, optionally persisted to a JSON file
+ */
+export class LocalDatabase {
+    /**
+     * @param {Object} [config] - Database configuration
+     * @param {string} [config.filePath] - JSON file to load from and save to; in-memory only when omitted
+     */
+    constructor({ filePath = null } = {}) {
+        this.filePath = filePath
+        this.tables = { documents: [], conversations: [], conversation_messages: [], support_tickets: [], answer_feedback: [] }
+        this.nextIds = { documents: 1, conversation_messages: 1, answer_feedback: 1 }
+        this.loaded = null
+        this.saving = Promise.resolve()
+    }
+
+    /**
+     * Load the tables from disk the first time they are needed
+     */
+    async load() {
+        this.loaded ??= (async () => {
+            if (!this.filePath) return
+            const { readFile } = await import('node:fs/promises')
+            try {
+                const data = JSON.parse(await readFile(this.filePath, 'utf8'))
+                this.tables = { ...this.tables, ...data.tables }
+                this.nextIds = { ...this.nextIds, ...data.nextIds }
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error
+            }
+        })()
+        await this.loaded
+    }
+
+    /**
+     * Get a table's rows, loading the database first
+     * @param {string} name - Table name
+     * @returns {Promise<Array<Object>>} The rows
+     */
+    async table(name) {
+        await this.load()
+        return this.tables[name]
+    }
+
+    nextId(table) {
+        return this.nextIds[table]++
+    }
+
+    /**
+     * Delete the rows matching a predicate
+     * The table's array is changed in place, so a caller still holding it
+     * (e.g. an insert in progress) writes to the same rows
+     * @param {string} name - Table name
+     * @param {Function} predicate - Called with each row; true deletes it
+     */
+    async deleteRows(name, predicate) {
+        const rows = await this.table(name)
+        let kept = 0
+        for (const row of rows) {
+            if (!predicate(row)) rows[kept++] = row
+        }
+        rows.length = kept
+        await this.save()
+    }
+
+    /**
+     * Write the tables to disk, one save at a time
+     */
+    async save() {
+        if (!this.filePath) return
+        this.saving = this.saving.then(async () => {
+            const { mkdir, writeFile } = await import('node:fs/promises')
+            const { dirname } = await import('node:path')
+            await mkdir(dirname(this.filePath), { recursive: true })
+            await writeFile(this.filePath, JSON.stringify({ tables: this.tables, nextIds: this.nextIds }))
+        })
+        await this.saving
+    }
+}
+
+/**
+ * LocalVectorStore Class
+ * Vector store over a LocalDatabase's documents table, ranked by cosine similarity
+ * Filters behave like match_documents: an object filter keeps chunks whose
+ * metadata contains it (`metadata @> filter`); a function filter is called with each Document
+ */
+export class LocalVectorStore extends VectorStore {
+    /**
+     * @param {Embeddings} embeddings - Embeddings used for queries and added documents
+     * @param {Object} args - Store configuration
+     * @param {LocalDatabase} args.database - Where the documents are kept
+     * @param {Object|Function} [args.filter] - Default filter applied to every search
+     */
+    constructor(embeddings, args) {
+        super(embeddings, args)
+        this.database = args.database
+        this.filter = args.filter
+    }
+
+    _vectorstoreType() {
+        return 'local'
+    }
+
+    async addDocuments(documents, options) {
+        const texts = documents.map(({ pageContent }) => pageContent)
+        return this.addVectors(await this.embeddings.embedDocuments(texts), documents, options)
+    }
+
+    async addVectors(vectors, documents) {
+        const documentsTable = await this.database.table('documents')
+        const ids = vectors.map((embedding, index) => {
+            const id = this.database.nextId('documents')
+            documentsTable.push({
+                id,
+                content: documents[index].pageContent,
+                metadata: documents[index].metadata,
+                embedding
+            })
+            return id
+        })
+        await this.database.save()
+        return ids
+    }
+
+    async delete({ ids }) {
+        await this.database.deleteRows('documents', row => ids.includes(row.id))
+    }
+
+    async similaritySearchVectorWithScore(query, k, filter) {
+        if (filter && this.filter) {
+            throw new Error('cannot provide both `filter` and `this.filter`')
+        }
+        const activeFilter = filter ?? this.filter ?? {}
+
+        const documentsTable = await this.database.table('documents')
+        return documentsTable
+            .map(row => [new Document({ pageContent: row.content, metadata: row.metadata }), row])
+            .filter(([document, row]) => {
+                return typeof activeFilter === 'function'
+                    ? activeFilter(document)
+                    : jsonContains(row.metadata, activeFilter)
+            })
+            .map(([document, row]) => [document, cosineSimilarity(query, row.embedding)])
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, k)
+    }
+}
+
+/**
+ * LocalStorageService Class
+ * Implements the same storage interface as SupabaseService (document
+ * bookkeeping for ingestion and conversation threads) over a LocalDatabase
+ */
+export class LocalStorageService {
+    /**
+     * @param {Object} config - Service configuration
+     * @param {LocalDatabase} config.database - Where the rows are kept
+     */
+    constructor({ database }) {
+        this.database = database
+    }
+
+    async sourceRows(source) {
+        const documentsTable = await this.database.table('documents')
+        return source ? documentsTable.filter(row => row.metadata?.source === source) : documentsTable
+    }
+
+    async checkExistingDocuments(source) {
+        const rows = await this.sourceRows(source)
+        const lastProcessedIndex = rows.reduce((max, row) => Math.max(max, row.metadata?.chunkIndex ?? -1), -1)
+        return { hasDocuments: rows.length > 0, lastProcessedIndex }
+    }
+
+    async getSourceChunks(source) {
+        const rows = await this.sourceRows(source)
+        return rows.map(({ id, content, metadata }) => ({ id, content, metadata: { ...metadata } }))
+    }
+
+    async findChunksByHash(source, contentHashes) {
+        const rows = await this.sourceRows(source)
+        return rows
+            .filter(row => contentHashes.includes(row.metadata?.contentHash))
+            .map(({ id, metadata }) => ({ id, metadata: { ...metadata } }))
+    }
+
+    async insertChunks(rows) {
+        const documentsTable = await this.database.table('documents')
+        for (const row of rows) {
+            documentsTable.push({ id: this.database.nextId('documents'), ...row })
+        }
+        await this.database.save()
+    }
+
+    async upsertChunkMetadata(updates) {
+        const documentsTable = await this.database.table('documents')
+        for (const { id, metadata } of updates) {
+            const row = documentsTable.find(document => document.id === id)
+            if (row) row.metadata = metadata
+        }
+        await this.database.save()
+    }
+
+    async getChunk(id) {
+        const documentsTable = await this.database.table('documents')
+        const row = documentsTable.find(document => document.id === id)
+        return row ? { id: row.id, content: row.content, metadata: { ...row.metadata } } : null
+    }
+
+    async updateChunkEmbedding(id, embedding, metadata) {
+        const documentsTable = await this.database.table('documents')
+        const row = documentsTable.find(document => document.id === id)
+        if (row) Object.assign(row, { embedding, metadata })
+        await this.database.save()
+    }
+
+    async deleteChunks(ids) {
+        await this.database.deleteRows('documents', row => ids.includes(row.id))
+    }
+
+    async deleteSource(source) {
+        await this.database.deleteRows('documents', row => row.metadata?.source === source)
+    }
+
+    async getDocumentCount(source) {
+        return (await this.sourceRows(source)).length
+    }
+
+    /**
+     * Full-text search over chunks, the local equivalent of keyword_match_documents
+     * Chunks matching any query word are ranked with BM25
+     * @param {string} queryText - The search text
+     * @param {Array<number>|null} queryEmbedding - Embedding of the search text for similarity scores, or null to leave them out
+     * @param {number} matchCount - Maximum number of results
+     * @param {Object} [filter] - Metadata the chunks must contain
+     * @returns {Promise<Array<Object>>} Rows with id, content, metadata, similarity and rank
+     */
+    async keywordSearch(queryText, queryEmbedding, matchCount, filter = {}) {
+        const queryWords = new Set(tokenizeWords(queryText))
+        if (queryWords.size === 0) return []
+
+        const documentsTable = await this.database.table('documents')
+        const candidates = documentsTable
+            .filter(row => jsonContains(row.metadata, filter))
+            .map(row => ({ row, words: tokenizeWords(row.content) }))
+        if (candidates.length === 0) return []
+
+        const averageLength = candidates.reduce((sum, { words }) => sum + words.length, 0) / candidates.length
+        const documentFrequency = new Map()
+        for (const { words } of candidates) {
+            for (const word of new Set(words)) {
+                if (queryWords.has(word)) documentFrequency.set(word, (documentFrequency.get(word) ?? 0) + 1)
+            }
+        }
+
+        const k1 = 1.2
+        const b = 0.75
+        return candidates
+            .map(({ row, words }) => {
+                let rank = 0
+                for (const word of queryWords) {
+                    const frequency = words.filter(w => w === word).length
+                    if (!frequency) continue
+                    const df = documentFrequency.get(word)
+                    const idf = Math.log(1 + (candidates.length - df + 0.5) / (df + 0.5))
+                    rank += idf * frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * words.length / averageLength))
+                }
+                return { row, rank }
+            })
+            .filter(({ rank }) => rank > 0)
+            .sort((x, y) => y.rank - x.rank)
+            .slice(0, matchCount)
+            .map(({ row, rank }) => ({
+                id: row.id,
+                content: row.content,
+                metadata: row.metadata,
+                similarity: queryEmbedding ? cosineSimilarity(queryEmbedding, row.embedding) : null,
+                rank
+            }))
+    }
+
+    async listConversations(clientId, knowledgeBase) {
+        const conversations = await this.database.table('conversations')
+        // Threads saved before knowledge bases get the same default as 007_knowledge_bases.sql
+        return conversations
+            .filter(conversation => conversation.client_id === clientId &&
+                (conversation.knowledge_base ?? 'scrimba') === knowledgeBase)
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+            .map(({ id, title, updated_at }) => ({ id, title, updated_at }))
+    }
+
+    async getConversation(conversationId) {
+        const conversations = await this.database.table('conversations')
+        return conversations.find(conversation => conversation.id === conversationId) ?? null
+    }
+
+    async createConversation(clientId, title, knowledgeBase) {
+        const conversations = await this.database.table('conversations')
+        const now = new Date().toISOString()
+        const conversation = { id: randomUUID(), client_id: clientId, knowledge_base: knowledgeBase, title, created_at: now, updated_at: now }
+        conversations.push(conversation)
+        await this.database.save()
+        return { id: conversation.id, title, updated_at: now }
+    }
+
+    /**
+     * Same as deleting the row in Postgres: its messages are deleted with it,
+     * while its tickets and the feedback on its answers are kept with their
+     * links set to null
+     */
+    async deleteConversation(conversationId) {
+        const messages = await this.database.table('conversation_messages')
+        const messageIds = new Set(messages
+            .filter(message => message.conversation_id === conversationId)
+            .map(message => message.id))
+
+        const tickets = await this.database.table('support_tickets')
+        tickets
+            .filter(ticket => ticket.conversation_id === conversationId)
+            .forEach(ticket => { ticket.conversation_id = null })
+        const feedbackTable = await this.database.table('answer_feedback')
+        feedbackTable
+            .filter(row => messageIds.has(row.message_id))
+            .forEach(row => { row.message_id = null })
+
+        await this.database.deleteRows('conversation_messages', message => message.conversation_id === conversationId)
+        await this.database.deleteRows('conversations', conversation => conversation.id === conversationId)
+    }
+
+    async getConversationMessages(conversationId) {
+        const messages = await this.database.table('conversation_messages')
+        return messages
+            .filter(message => message.conversation_id === conversationId)
+            .map(({ id, role, content, sources, standalone_question = null }) => ({ id, role, content, sources, standalone_question }))
+    }
+
+    async insertConversationMessages(conversationId, messages) {
+        const messagesTable = await this.database.table('conversation_messages')
+        const now = new Date().toISOString()
+        const inserted = []
+        for (const { role, content, sources = [], standaloneQuestion = null } of messages) {
+            const id = this.database.nextId('conversation_messages')
+            messagesTable.push({
+                id,
+                conversation_id: conversationId,
+                role,
+                content,
+                sources,
+                standalone_question: standaloneQuestion,
+                created_at: now
+            })
+            inserted.push({ id })
+        }
+
+        const conversation = await this.getConversation(conversationId)
+        if (conversation) conversation.updated_at = now
+        await this.database.save()
+        return inserted
+    }
+
+    /**
+     * Same as deleting the rows in Postgres: feedback on a deleted answer is
+     * kept with its message_id set to null
+     */
+    async deleteConversationMessages(conversationId, messageIds) {
+        const ids = new Set(messageIds)
+        const feedbackTable = await this.database.table('answer_feedback')
+        feedbackTable
+            .filter(row => ids.has(row.message_id))
+            .forEach(row => { row.message_id = null })
+        await this.database.deleteRows('conversation_messages', message => {
+            return message.conversation_id === conversationId && ids.has(message.id)
+        })
+    }
+
+    async createSupportTicket(ticket) {
+        const tickets = await this.database.table('support_tickets')
+        const now = new Date().toISOString()
+        const row = { id: randomUUID(), status: 'open', ...ticket, created_at: now, updated_at: now }
+        tickets.push(row)
+        await this.database.save()
+        return { id: row.id, conversation_id: row.conversation_id, status: row.status, created_at: now }
+    }
+
+    async getSupportTicket(ticketId) {
+        const tickets = await this.database.table('support_tickets')
+        const ticket = tickets.find(row => row.id === ticketId)
+        if (!ticket) return null
+        const { id, client_id, conversation_id, status, created_at, updated_at } = ticket
+        return { id, client_id, conversation_id, status, created_at, updated_at }
+    }
+
+    async saveAnswerFeedback(feedback) {
+        const feedbackTable = await this.database.table('answer_feedback')
+        const now = new Date().toISOString()
+        const existing = feedbackTable.find(row => row.message_id === feedback.message_id)
+        if (existing) {
+            Object.assign(existing, feedback, { updated_at: now })
+        } else {
+            feedbackTable.push({ id: this.database.nextId('answer_feedback'), ...feedback, created_at: now, updated_at: now })
+        }
+        await this.database.save()
+    }
+
+    /**
+     * Same grouping as the negative_feedback_by_chunk view: by content hash,
+     * or by chunk id for feedback saved without one
+     */
+    async getNegativeFeedbackByChunk() {
+        const feedbackTable = await this.database.table('answer_feedback')
+        const groups = new Map()
+        const negative = feedbackTable
+            .filter(row => row.rating === -1)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+
+        for (const row of negative) {
+            for (const chunk of row.chunks) {
+                const key = chunk.contentHash ? `${chunk.source}:${chunk.contentHash}` : chunk.id
+                let group = groups.get(key)
+                if (!group) {
+                    group = {
+                        chunk_id: chunk.id,
+                        source: chunk.source,
+                        chunk_index: chunk.chunkIndex,
+                        content_hash: chunk.contentHash ?? null,
+                        negative_count: 0,
+                        similarities: [],
+                        questions: [],
+                        comments: [],
+                        last_reported_at: row.created_at
+                    }
+                    groups.set(key, group)
+                }
+                group.negative_count++
+                if (typeof chunk.similarity === 'number') group.similarities.push(chunk.similarity)
+                group.questions.push(row.question)
+                if (row.comment) group.comments.push(row.comment)
+            }
+        }
+
+        return [...groups.values()]
+            .map(({ similarities, ...group }) => ({
+                ...group,
+                avg_similarity: similarities.length
+                    ? similarities.reduce((sum, value) => sum + value, 0) / similarities.length
+                    : null
+            }))
+            .sort((a, b) => b.negative_count - a.negative_count || b.last_reported_at.localeCompare(a.last_reported_at))
+    }
+
+    async listSupportTickets(clientId) {
+        const tickets = await this.database.table('support_tickets')
+        return tickets
+            .filter(ticket => ticket.client_id === clientId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(({ id, conversation_id, status, created_at, updated_at }) => ({ id, conversation_id, status, created_at, updated_at }))
+    }
+}
@@ -0,0 +1,91 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Document } from 'langchain/document'
+import { LocalDatabase, LocalStorageService, LocalVectorStore, jsonContains } from './localStore.js'
+import { FakeEmbeddings } from './providers.js'
+
+test('jsonContains follows jsonb containment', () => {
+    const metadata = { source: 'faq.txt', knowledgeBase: 'scrimba', chunkIndex: 3, tags: ['pricing', 'bootcamp'], loc: { lines: { from: 1, to: 9 } } }
+
+    assert.equal(jsonContains(metadata, {}), true)
+    assert.equal(jsonContains(metadata, { knowledgeBase: 'scrimba', chunkIndex: 3 }), true)
+    assert.equal(jsonContains(metadata, { loc: { lines: { from: 1 } } }), true)
+    assert.equal(jsonContains(metadata, { tags: ['bootcamp'] }), true)
+
+    assert.equal(jsonContains(metadata, { knowledgeBase: 'other' }), false)
+    assert.equal(jsonContains(metadata, { chunkIndex: '3' }), false)
+    assert.equal(jsonContains(metadata, { tags: 'pricing' }), false)
+    assert.equal(jsonContains(metadata, { tags: ['pricing', 'career'] }), false)
+    assert.equal(jsonContains(metadata, { missing: null }), false)
+    assert.equal(jsonContains({ loc: null }, { loc: {} }), false)
+    assert.equal(jsonContains({ list: [] }, { list: {} }), false)
+})
+
+/**
+ * A LocalVectorStore holding one chunk per knowledge base
+ * @param {Object|Function} [filter] - The store's default filter
+ * @returns {Promise<LocalVectorStore>}
+ */
+async function createStore(filter) {
+    const vectorStore = new LocalVectorStore(new FakeEmbeddings(), { database: new LocalDatabase(), filter })
+    await vectorStore.addDocuments([
+        new Document({ pageContent: 'Scrimba has a Discord server.', metadata: { source: 'faq.txt', knowledgeBase: 'scrimba' } }),
+        new Document({ pageContent: 'Acme has a Slack workspace.', metadata: { source: 'acme.txt', knowledgeBase: 'acme' } })
+    ])
+    return vectorStore
+}
+
+test('searches keep the chunks whose metadata contains the filter', async () => {
+    const vectorStore = await createStore()
+
+    const results = await vectorStore.similaritySearch('community chat', 4, { knowledgeBase: 'acme' })
+    assert.deepEqual(results.map(document => document.metadata.source), ['acme.txt'])
+
+    const everything = await vectorStore.similaritySearch('community chat', 4)
+    assert.equal(everything.length, 2)
+})
+
+test('a function filter is called with each document', async () => {
+    const vectorStore = await createStore()
+
+    const results = await vectorStore.similaritySearch('community chat', 4, document => document.pageContent.includes('Discord'))
+    assert.deepEqual(results.map(document => document.metadata.source), ['faq.txt'])
+})
+
+test('a search filter cannot be combined with the store filter', async () => {
+    const vectorStore = await createStore({ knowledgeBase: 'scrimba' })
+
+    assert.deepEqual((await vectorStore.similaritySearch('community chat', 4)).map(document => document.metadata.source), ['faq.txt'])
+    await assert.rejects(vectorStore.similaritySearch('community chat', 4, { knowledgeBase: 'acme' }), /both `filter` and `this.filter`/)
+})
+
+test('deleting a conversation keeps its tickets and feedback, unlinked like on delete set null', async () => {
+    const storageService = new LocalStorageService({ database: new LocalDatabase() })
+    const { id: conversationId } = await storageService.createConversation('client', 'Townhall', 'scrimba')
+    const [, answer] = await storageService.insertConversationMessages(conversationId, [
+        { role: 'human', content: 'What is the Townhall?' },
+        { role: 'ai', content: 'A monthly live stream.' }
+    ])
+    const ticket = await storageService.createSupportTicket({ client_id: 'client', conversation_id: conversationId, email: 'a@example.com' })
+    await storageService.saveAnswerFeedback({ message_id: answer.id, rating: -1 })
+
+    await storageService.deleteConversation(conversationId)
+
+    assert.equal(await storageService.getConversation(conversationId), null)
+    assert.deepEqual(await storageService.getConversationMessages(conversationId), [])
+    assert.equal((await storageService.getSupportTicket(ticket.id)).conversation_id, null)
+    const [feedback] = await storageService.database.table('answer_feedback')
+    assert.equal(feedback.message_id, null)
+})
+
+test('rows inserted while others are being deleted are kept', async () => {
+    const storageService = new LocalStorageService({ database: new LocalDatabase() })
+    await storageService.insertChunks([{ content: 'Old', metadata: { source: 'old.txt' } }])
+
+    await Promise.all([
+        storageService.deleteSource('old.txt'),
+        storageService.insertChunks([{ content: 'New', metadata: { source: 'new.txt' } }])
+    ])
+
+    assert.deepEqual((await storageService.getSourceChunks()).map(row => row.content), ['New'])
+})
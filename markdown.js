@@ -0,0 +1,66 @@
+// Markdown rendering for AI answers. Answers are built from retrieved text
+// and model output, so they are treated as untrusted: marked turns the
+// Markdown into HTML and DOMPurify keeps only the tags and attributes below
+import { Marked } from 'marked'
+import DOMPurify from 'dompurify'
+
+// Single line breaks are kept, since models rarely leave blank lines between short paragraphs
+const marked = new Marked({ gfm: true, breaks: true })
+
+// No images: a prompt-injected image URL could leak the conversation in its query string
+const SANITIZE_CONFIG = {
+    ALLOWED_TAGS: [
+        'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'a',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    ALLOWED_ATTR: ['href', 'title', 'align', 'start'],
+    ALLOWED_URI_REGEXP: /^(?:https?:|mailto:)/i,
+    // Otherwise their values ("left", "3") are held to the URI pattern too
+    ADD_URI_SAFE_ATTR: ['align', 'start'],
+    RETURN_DOM_FRAGMENT: true
+}
+
+/**
+ * Render Markdown into an element, replacing its contents
+ * Links open in a new tab and every code block gets a copy button
+ * @param {HTMLElement} element - The element to render into
+ * @param {string} markdown - The Markdown to render
+ */
+export function renderMarkdown(element, markdown) {
+    const fragment = DOMPurify.sanitize(marked.parse(markdown ?? ''), SANITIZE_CONFIG)
+
+    fragment.querySelectorAll('a').forEach(link => {
+        link.target = '_blank'
+        link.rel = 'noopener noreferrer'
+    })
+    fragment.querySelectorAll('pre').forEach(addCopyButton)
+
+    element.replaceChildren(fragment)
+}
+
+/**
+ * Add a button that copies a code block's text to the clipboard
+ * @param {HTMLPreElement} pre - The code block
+ */
+function addCopyButton(pre) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.classList.add('copy-btn')
+    button.textContent = 'Copy'
+    button.setAttribute('aria-label', 'Copy code')
+
+    button.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(pre.querySelector('code')?.textContent ?? '')
+            button.textContent = 'Copied!'
+        } catch (error) {
+            console.error('Could not copy code:', error)
+            button.textContent = 'Copy failed'
+        }
+        setTimeout(() => { button.textContent = 'Copy' }, 2000)
+    })
+
+    pre.classList.add('code-block')
+    pre.prepend(button)
+}
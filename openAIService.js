@@ -1,57 +1,115 @@
-import { ChatOpenAI } from 'langchain/chat_models/openai'
-import { OpenAIEmbeddings } from 'langchain/embeddings/openai'
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter'
+import { getProvider } from './providers.js'
+import { FaqTextSplitter } from './faqTextSplitter.js'
+import { CircuitBreaker, withResilience } from './resilience.js'
+import { estimateTokens } from './tokens.js'
 
 export class OpenAIService {
+    /**
+     * Create the chat model and embeddings for the configured provider
+     * @param {Object} config - Service configuration
+     * @param {string} [config.provider] - 'openai' (default), 'openai-compatible' or 'fake'
+     * @param {string} [config.openAIApiKey] - API key for the openai provider
+     * @param {string} [config.baseUrl] - Endpoint for the openai-compatible provider
+     * @param {string} [config.chatModel] - Chat model name
+     * @param {string} [config.embeddingModel] - Embedding model name
+     * @param {number} [config.temperature] - Sampling temperature of the chat model
+     * @param {number} [config.maxTokens] - Longest reply the chat model may generate
+     * @param {number} [config.timeoutMs] - Request timeout of the model clients; each provider has its own default
+     * @param {number} [config.chunkSize] - Characters per chunk for the text splitters
+     * @param {number} [config.chunkOverlap] - Characters shared by neighbouring chunks
+     */
     constructor(config) {
-        this.embeddings = new OpenAIEmbeddings({
-            openAIApiKey: config.openAIApiKey
-        })
-        
-        this.chatModel = new ChatOpenAI({
-            openAIApiKey: config.openAIApiKey,
-            temperature: 0.7,
-            maxTokens: 500,
-            modelName: 'gpt-3.5-turbo',
-            maxRetries: 3,
-            timeout: 30000,
-            streaming: false,
-            retryDelay: 20,
-        })
+        const provider = getProvider(config.provider ?? 'openai')
+        this.embeddings = provider.createEmbeddings(config)
+        this.chatModel = provider.createChatModel(config)
+
+        // Shared by every caller, so repeated failures pause all calls to the provider
+        this.circuitBreaker = new CircuitBreaker()
 
         // Configure text splitter settings
-        this.textSplitter = new RecursiveCharacterTextSplitter({
-            chunkSize: 500,
+        const splitterConfig = {
+            chunkSize: config.chunkSize ?? 500,
             separators: ['\n\n', '\n', ' ', ''],
-            chunkOverlap: 50
-        })
+            chunkOverlap: config.chunkOverlap ?? 50
+        }
+        this.textSplitter = new RecursiveCharacterTextSplitter(splitterConfig)
+
+        // Splitting strategies a knowledge base source can choose with "splitter"
+        this.splitters = {
+            recursive: this.textSplitter,
+            faq: new FaqTextSplitter(splitterConfig)
+        }
     }
 
-    async generateEmbedding(text) {
-        return await withRetry(async () => {
+    /**
+     * Embed a single text
+     * @param {string} text - The text to embed
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Cancels the request and any retries
+     * @param {RateLimiter} [options.rateLimiter] - Budget each attempt is booked on
+     * @returns {Promise<Array<number>>} The embedding
+     */
+    async generateEmbedding(text, { signal, rateLimiter } = {}) {
+        return await withResilience(async () => {
             return await this.embeddings.embedQuery(text)
+        }, {
+            signal,
+            circuitBreaker: this.circuitBreaker,
+            rateLimiter,
+            tokens: rateLimiter ? estimateTokens(text) : undefined
         })
     }
 
     /**
      * Split text into chunks for processing
      * @param {string} text - The text to split
+     * @param {string} [strategy] - Key of this.splitters, defaults to 'recursive'
      * @returns {Promise<Array>} Array of document chunks
      */
-    async createDocumentChunks(text) {
-        return await this.textSplitter.createDocuments([text])
+    async createDocumentChunks(text, strategy = 'recursive') {
+        const splitter = this.splitters[strategy]
+        if (!splitter) {
+            throw new Error(`Unknown splitter "${strategy}". Use one of: ${Object.keys(this.splitters).join(', ')}`)
+        }
+        return await splitter.createDocuments([text])
     }
 
     /**
      * Get the expected number of chunks for a given text
      * @param {string} text - The text to analyze
+     * @param {string} [strategy] - Key of this.splitters, defaults to 'recursive'
      * @returns {Promise<number>} The expected number of chunks
      */
-    async getExpectedChunks(text) {
-        const documents = await this.createDocumentChunks(text)
+    async getExpectedChunks(text, strategy) {
+        const documents = await this.createDocumentChunks(text, strategy)
         return documents.length
     }
 
+    /**
+     * Embed several text chunks with a single embedDocuments request
+     * @param {Array<Object>} chunks - The document chunks to process
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Cancels the request and any retries
+     * @param {RateLimiter} [options.rateLimiter] - Budget each attempt is booked on
+     * @returns {Promise<Array<Object>>} Processed chunks with embeddings, in the same order
+     */
+    async processChunks(chunks, { signal, rateLimiter } = {}) {
+        const texts = chunks.map(chunk => chunk.pageContent)
+        const embeddings = await withResilience(async () => {
+            return await this.embeddings.embedDocuments(texts)
+        }, {
+            signal,
+            circuitBreaker: this.circuitBreaker,
+            rateLimiter,
+            tokens: rateLimiter ? texts.reduce((sum, text) => sum + estimateTokens(text), 0) : undefined
+        })
+        return chunks.map((chunk, index) => ({
+            content: chunk.pageContent,
+            embedding: embeddings[index]
+        }))
+    }
+
     /**
      * Process a text chunk and generate its embedding
      * @param {Object} chunk - The document chunk to process
@@ -0,0 +1,203 @@
+import { ChatOpenAI } from 'langchain/chat_models/openai'
+import { OpenAIEmbeddings } from 'langchain/embeddings/openai'
+import { BaseChatModel } from 'langchain/chat_models/base'
+import { Embeddings } from 'langchain/embeddings/base'
+import { AIMessage, AIMessageChunk, ChatGenerationChunk } from 'langchain/schema'
+import { tokenizeWords } from './tokens.js'
+
+/**
+ * Hash a string to a 32-bit integer (FNV-1a)
+ * @param {string} text - The text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+}
+
+/**
+ * FakeEmbeddings Class
+ * Deterministic bag-of-words embeddings: every word is hashed into one of
+ * `dimensions` buckets, so texts sharing words end up close together
+ */
+export class FakeEmbeddings extends Embeddings {
+    constructor({ dimensions = 1536 } = {}) {
+        super({})
+        this.dimensions = dimensions
+    }
+
+    async embedDocuments(texts) {
+        return texts.map(text => this.embed(text))
+    }
+
+    async embedQuery(text) {
+        return this.embed(text)
+    }
+
+    /**
+     * Embed one text as a normalized hashed word-count vector
+     * @param {string} text - The text to embed
+     * @returns {Array<number>} The embedding
+     */
+    embed(text) {
+        const vector = new Array(this.dimensions).fill(0)
+        for (const word of tokenizeWords(text)) {
+            const hash = hashString(word)
+            vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1
+        return vector.map(value => value / norm)
+    }
+}
+
+/**
+ * FakeChatModel Class
+ * Scripted chat model for offline development and tests
+ * Each script rule is { match, response }: the first rule whose `match` (a string
+ * or RegExp) is found in the prompt supplies the reply. Without a matching rule it
+ * falls back to simple deterministic behaviour for the bot's own prompts.
+ */
+export class FakeChatModel extends BaseChatModel {
+    constructor({ script = [], maxTokens = 500 } = {}) {
+        super({})
+        this.script = script
+        this.maxTokens = maxTokens
+    }
+
+    _llmType() {
+        return 'fake'
+    }
+
+    _combineLLMOutput() {
+        return {}
+    }
+
+    async _generate(messages, options) {
+        options?.signal?.throwIfAborted()
+        const text = this.respond(messages.map(message => message.content).join('\n'))
+        return { generations: [{ text, message: new AIMessage(text) }] }
+    }
+
+    async *_streamResponseChunks(messages, options) {
+        const text = this.respond(messages.map(message => message.content).join('\n'))
+        for (const token of text.match(/\S+\s*/g) ?? []) {
+            options?.signal?.throwIfAborted()
+            yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk(token) })
+        }
+    }
+
+    /**
+     * Produce the reply for a prompt
+     * @param {string} prompt - The full prompt text
+     * @returns {string} The scripted or default reply
+     */
+    respond(prompt) {
+        const rule = this.script.find(({ match }) => {
+            return match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+        })
+        if (rule) {
+            return typeof rule.response === 'function' ? rule.response(prompt) : rule.response
+        }
+
+        // Standalone question prompt: echo the new question
+        const newQuestion = prompt.match(/New Question: (.*)\n/)
+        if (prompt.includes('Standalone question:') && newQuestion) {
+            return newQuestion[1].trim()
+        }
+
+        // Summary prompt: keep the previous summary and the latest user lines
+        if (prompt.includes('New summary:')) {
+            const userLines = prompt.match(/^User: .*$/gm) ?? []
+            return userLines.join(' ').slice(0, 500)
+        }
+
+        // Answer prompt: quote the first retrieved passage
+        const context = prompt.match(/Context: ([\s\S]*?)\nQuestion:/)?.[1] ?? ''
+        const passage = context
+            .split('\n')
+            .filter(line => line.trim() && !line.startsWith('[Document'))
+            .slice(0, 2)
+            .join(' ')
+        return passage
+            ? `According to the documentation: ${passage}`
+            : "I'm sorry, I don't know the answer to that. Please email help@scrimba.com for assistance"
+    }
+}
+
+/**
+ * Chat and embedding providers, selected with the `provider` config option
+ * Each provider builds a chat model and an embeddings instance from the config.
+ * The clients' own retries are off so that resilience.js is the only layer retrying
+ */
+export const providers = {
+    openai: {
+        createChatModel: config => new ChatOpenAI({
+            openAIApiKey: config.openAIApiKey,
+            temperature: config.temperature ?? 0.7,
+            maxTokens: config.maxTokens ?? 500,
+            modelName: config.chatModel ?? 'gpt-3.5-turbo',
+            maxRetries: 0,
+            timeout: config.timeoutMs ?? 30000,
+            streaming: true
+        }),
+        createEmbeddings: config => new OpenAIEmbeddings({
+            openAIApiKey: config.openAIApiKey,
+            modelName: config.embeddingModel ?? 'text-embedding-ada-002',
+            maxRetries: 0,
+            timeout: config.timeoutMs ?? 30000
+        })
+    },
+
+    // Local servers exposing the OpenAI API, e.g. Ollama (http://localhost:11434/v1)
+    // or llama.cpp's server (http://localhost:8080/v1)
+    'openai-compatible': {
+        createChatModel: config => new ChatOpenAI({
+            openAIApiKey: config.openAIApiKey || 'not-needed',
+            temperature: config.temperature ?? 0.7,
+            maxTokens: config.maxTokens ?? 500,
+            modelName: requireOption(config, 'chatModel'),
+            maxRetries: 0,
+            timeout: config.timeoutMs ?? 120000,
+            streaming: true,
+            configuration: { baseURL: requireOption(config, 'baseUrl') }
+        }),
+        createEmbeddings: config => new OpenAIEmbeddings({
+            openAIApiKey: config.openAIApiKey || 'not-needed',
+            modelName: requireOption(config, 'embeddingModel'),
+            maxRetries: 0,
+            timeout: config.timeoutMs ?? 120000,
+            configuration: { baseURL: requireOption(config, 'baseUrl') }
+        })
+    },
+
+    // Deterministic and offline: hash-based embeddings and scripted completions
+    fake: {
+        createChatModel: config => new FakeChatModel({ script: config.script, maxTokens: config.maxTokens }),
+        createEmbeddings: config => new FakeEmbeddings({ dimensions: config.embeddingDimensions })
+    }
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} The provider
+ */
+export function getProvider(name) {
+    const provider = providers[name]
+    if (!provider) {
+        throw new Error(`Unknown provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`)
+    }
+    return provider
+}
+
+function requireOption(config, option) {
+    if (!config[option]) {
+        throw new Error(`The ${config.provider} provider requires the "${option}" option`)
+    }
+    return config[option]
+}
@@ -1,59 +1,227 @@
-export class RateLimiter {
-    constructor(maxRequests, timeWindowSeconds) {
-        this.maxRequests = maxRequests
-        this.timeWindowMs = timeWindowSeconds * 1000
-        this.tokens = maxRequests
-        this.lastRefill = Date.now()
-        this.queue = []
+// Length of the sliding window both budgets are measured over
+const WINDOW_MS = 60 * 1000
+
+/**
+ * MemoryBudgetStore Class
+ * Keeps a RateLimiter's usage in memory; share one limiter (or one store)
+ * between everything that draws on the same budget
+ */
+export class MemoryBudgetStore {
+    constructor() {
+        this.state = null
     }
 
-    async waitForToken() {
-        this._refillTokens()
+    read() {
+        return this.state
+    }
+
+    write(state) {
+        this.state = state
+    }
+}
+
+/**
+ * LocalStorageBudgetStore Class
+ * Keeps a RateLimiter's usage in localStorage so every tab of the same
+ * origin draws on one budget. Writes are last-one-wins, which is close
+ * enough for a budget that is re-checked before every request.
+ */
+export class LocalStorageBudgetStore {
+    /**
+     * @param {string} key - localStorage key holding the usage
+     * @param {Storage} [storage] - Storage to use, defaults to localStorage
+     */
+    constructor(key, storage = globalThis.localStorage) {
+        this.key = key
+        this.storage = storage
+    }
+
+    read() {
+        try {
+            return JSON.parse(this.storage.getItem(this.key))
+        } catch {
+            return null
+        }
+    }
 
-        if (this.tokens > 0) {
-            this.tokens--
-            return Promise.resolve()
+    write(state) {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(state))
+        } catch {
+            // Storage full or disabled: the budget only applies to this tab
         }
+    }
+}
 
-        // If no tokens available, queue the request
-        return new Promise((resolve) => {
-            this.queue.push(() => {
-                this.tokens--
-                resolve()
-            })
-            
-            // Set timeout to prevent indefinite waiting
-            setTimeout(() => {
-                const index = this.queue.indexOf(resolve)
-                if (index > -1) {
+/**
+ * RateLimiter Class
+ * Sliding one-minute budget for requests and (estimated) tokens. Callers
+ * wait in FIFO order and the queue drains on a timer set for the moment
+ * the next caller fits, so nobody is released before the budget allows it.
+ * An upstream 429 can pause the whole budget with blockFor.
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} config - Limiter configuration
+     * @param {number} config.requestsPerMinute - Requests allowed per minute
+     * @param {number} [config.tokensPerMinute] - Tokens allowed per minute, unlimited by default
+     * @param {MemoryBudgetStore|LocalStorageBudgetStore} [config.store] - Where usage is kept
+     */
+    constructor({ requestsPerMinute, tokensPerMinute = Infinity, store = new MemoryBudgetStore() }) {
+        this.requestsPerMinute = requestsPerMinute
+        this.tokensPerMinute = tokensPerMinute
+        this.store = store
+        this.queue = []
+        this.drainTimer = null
+    }
+
+    /**
+     * Wait until the budget has room for a request, then use it
+     * @param {number} [tokens] - Estimated tokens the request will use
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Gives up waiting when aborted
+     * @returns {Promise<void>} Resolves once the request may be sent
+     */
+    waitForToken(tokens = 0, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason)
+                return
+            }
+
+            const waiter = { tokens, resolve }
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    const index = this.queue.indexOf(waiter)
+                    if (index === -1) return
                     this.queue.splice(index, 1)
-                    resolve() // Resolve anyway after timeout
-                }
-            }, this.timeWindowMs)
+                    reject(signal.reason)
+                    this.drain()
+                }, { once: true })
+            }
+
+            this.queue.push(waiter)
+            this.drain()
         })
     }
 
-    _refillTokens() {
+    /**
+     * Use the budget for a request without waiting
+     * @param {number} [tokens] - Estimated tokens the request will use
+     * @returns {boolean} Whether the request fits right now
+     */
+    tryRemoveToken(tokens = 0) {
+        if (this.queue.length > 0 || this.getWaitTime(tokens) > 0) return false
+        this.record(tokens)
+        return true
+    }
+
+    /**
+     * Milliseconds until a request of this size could start, counting
+     * everyone already queued ahead of it
+     * @param {number} [tokens] - Estimated tokens the request will use
+     * @returns {number} Time to wait; 0 when it could start now
+     */
+    getWaitTime(tokens = 0) {
         const now = Date.now()
-        const timePassed = now - this.lastRefill
-        const tokensToAdd = Math.floor(timePassed / this.timeWindowMs) * this.maxRequests
+        const { usage, blockedUntil } = this.readState(now)
 
-        if (tokensToAdd > 0) {
-            this.tokens = Math.min(this.maxRequests, this.tokens + tokensToAdd)
-            this.lastRefill = now
+        // Play the queue forward, booking each waiter at the time it would start
+        let wait = 0
+        for (const cost of [...this.queue.map(waiter => waiter.tokens), tokens]) {
+            wait = Math.max(wait, this.findWaitTime(usage, blockedUntil, cost, now))
+            usage.push({ at: now + wait, requests: 1, tokens: this.clampTokens(cost) })
+        }
+        return wait
+    }
 
-            // Process queued requests if we have tokens
-            while (this.queue.length > 0 && this.tokens > 0) {
-                const nextRequest = this.queue.shift()
-                nextRequest()
+    /**
+     * Stop every request until a moment has passed, e.g. after the API
+     * answered 429 with a Retry-After
+     * @param {number} ms - Milliseconds to pause for
+     */
+    blockFor(ms) {
+        const now = Date.now()
+        const state = this.readState(now)
+        this.store.write({ ...state, blockedUntil: Math.max(state.blockedUntil, now + ms) })
+        this.drain()
+    }
+
+    /**
+     * Release every queued caller that fits, then sleep until the next one does
+     */
+    drain() {
+        clearTimeout(this.drainTimer)
+        this.drainTimer = null
+
+        while (this.queue.length > 0) {
+            const { usage, blockedUntil } = this.readState(Date.now())
+            const wait = this.findWaitTime(usage, blockedUntil, this.queue[0].tokens, Date.now())
+            if (wait > 0) {
+                this.drainTimer = setTimeout(() => this.drain(), wait)
+                return
             }
+
+            const waiter = this.queue.shift()
+            this.record(waiter.tokens)
+            waiter.resolve()
         }
     }
-}
 
-export async function withRetry(operation, maxRetries = 3, initialDelay = 20000) {
-    // ... existing withRetry function ...
-}
+    /**
+     * Work out when a request fits the budget, as older usage leaves the window
+     * @param {Array<Object>} usage - Usage entries ({ at, requests, tokens }) oldest first
+     * @param {number} blockedUntil - Timestamp before which nothing may start
+     * @param {number} tokens - Estimated tokens of the request
+     * @param {number} now - Current timestamp
+     * @returns {number} Milliseconds to wait
+     */
+    findWaitTime(usage, blockedUntil, tokens, now) {
+        const cost = this.clampTokens(tokens)
+        let requests = usage.reduce((sum, entry) => sum + entry.requests, 0)
+        let used = usage.reduce((sum, entry) => sum + entry.tokens, 0)
+        let wait = 0
 
-// Export a singleton instance
-export const rateLimiter = new RateLimiter(3, 60) // Adjusted to 3 requests per minute for embeddings and 60 seconds for chat
\ No newline at end of file
+        for (const entry of usage) {
+            if (requests + 1 <= this.requestsPerMinute && used + cost <= this.tokensPerMinute) break
+            requests -= entry.requests
+            used -= entry.tokens
+            wait = entry.at + WINDOW_MS - now
+        }
+        return Math.max(0, wait, blockedUntil - now)
+    }
+
+    /**
+     * A request larger than the whole token budget could never run, so it
+     * is counted as using exactly the budget
+     * @param {number} tokens - Estimated tokens
+     * @returns {number}
+     */
+    clampTokens(tokens) {
+        return Math.min(tokens, this.tokensPerMinute)
+    }
+
+    /**
+     * Add a request to the usage
+     * @param {number} tokens - Estimated tokens of the request
+     */
+    record(tokens) {
+        const now = Date.now()
+        const state = this.readState(now)
+        state.usage.push({ at: now, requests: 1, tokens: this.clampTokens(tokens) })
+        this.store.write(state)
+    }
+
+    /**
+     * Read the stored usage, dropping entries that have left the window
+     * @param {number} now - Current timestamp
+     * @returns {Object} { usage, blockedUntil } with usage oldest first
+     */
+    readState(now) {
+        const state = this.store.read() ?? {}
+        const usage = (state.usage ?? [])
+            .filter(entry => now - entry.at < WINDOW_MS)
+            .sort((a, b) => a.at - b.at)
+        return { usage, blockedUntil: state.blockedUntil ?? 0 }
+    }
+}
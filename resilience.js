@@ -0,0 +1,365 @@
+// Shared error handling for model and storage calls: classification, bounded
+// retries that honour Retry-After, cancellation and a circuit breaker
+
+/**
+ * Kinds of failure a caller may want to tell apart
+ * 'circuit_open' means the call was refused without being attempted
+ */
+export const FAILURE_TYPES = ['rate_limit', 'timeout', 'auth', 'server', 'circuit_open', 'aborted', 'unknown']
+
+// Failures worth another attempt, and failures that say the service itself is unwell
+const RETRYABLE = new Set(['rate_limit', 'timeout', 'server'])
+const TRIPPING = new Set(['timeout', 'server'])
+
+/**
+ * Error thrown instead of calling a service whose circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+    constructor(retryAfterMs) {
+        super('Service temporarily unavailable after repeated failures')
+        this.name = 'CircuitOpenError'
+        this.retryAfterMs = retryAfterMs
+    }
+}
+
+/**
+ * Work out what kind of failure an error is
+ * Understands the OpenAI client's errors (status, headers, error.code),
+ * fetch and network errors, and AbortSignal reasons
+ * @param {Error} error - The error to classify
+ * @returns {string} One of FAILURE_TYPES
+ */
+export function classifyError(error) {
+    if (error instanceof CircuitOpenError) return 'circuit_open'
+    if (error?.name === 'AbortError') return 'aborted'
+    if (error?.name === 'TimeoutError' || ['ETIMEDOUT', 'ECONNABORTED'].includes(error?.code) || /timed? ?out/i.test(error?.message ?? '')) {
+        return 'timeout'
+    }
+
+    const status = Number(error?.status ?? error?.response?.status)
+    // An exhausted quota is also a 429, but waiting will not fix it
+    if (error?.error?.code === 'insufficient_quota' || error?.code === 'insufficient_quota') return 'auth'
+    if (status === 429 || /rate limit/i.test(error?.message ?? '')) return 'rate_limit'
+    if (status === 401 || status === 403) return 'auth'
+    if (status >= 500 || ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error?.code) ||
+        error?.name === 'APIConnectionError' || /fetch failed|network/i.test(error?.message ?? '')) {
+        return 'server'
+    }
+    return 'unknown'
+}
+
+/**
+ * Read how long the service asked us to wait, from the Retry-After headers
+ * or OpenAI's "Please try again in 20s" message
+ * @param {Error} error - The failed call's error
+ * @returns {number|null} Milliseconds to wait, or null when the error doesn't say
+ */
+export function getRetryAfterMs(error) {
+    if (typeof error?.retryAfterMs === 'number') return error.retryAfterMs
+
+    const headers = error?.headers ?? error?.response?.headers
+    const header = name => typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]
+
+    const retryAfterMs = Number(header('retry-after-ms'))
+    if (retryAfterMs > 0) return retryAfterMs
+
+    const retryAfter = header('retry-after')
+    if (retryAfter) {
+        const seconds = Number(retryAfter)
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+        const date = Date.parse(retryAfter)
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+    }
+
+    const match = error?.message?.match(/try again in (\d+(?:\.\d+)?)\s*(ms|s)\b/i)
+    if (match) return Number(match[1]) * (match[2].toLowerCase() === 'ms' ? 1 : 1000)
+    return null
+}
+
+/**
+ * Wait, giving up early when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason)
+            return
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort)
+            resolve()
+        }, ms)
+        const onAbort = () => {
+            clearTimeout(timer)
+            reject(signal.reason)
+        }
+        signal?.addEventListener('abort', onAbort, { once: true })
+    })
+}
+
+/**
+ * CircuitBreaker Class
+ * Counts consecutive timeouts and server errors from one service. After
+ * `failureThreshold` of them the circuit opens and calls fail straight away
+ * with a CircuitOpenError for `resetTimeoutMs`; then a single trial call is
+ * let through, and its outcome closes or re-opens the circuit.
+ */
+export class CircuitBreaker {
+    /**
+     * @param {Object} [config] - Breaker configuration
+     * @param {number} [config.failureThreshold] - Consecutive failures that open the circuit
+     * @param {number} [config.resetTimeoutMs] - How long the circuit stays open
+     */
+    constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+        this.failureThreshold = failureThreshold
+        this.resetTimeoutMs = resetTimeoutMs
+        this.failures = 0
+        this.openedAt = null
+        this.trialInFlight = false
+    }
+
+    /**
+     * @returns {string} 'closed', 'open' or 'half_open'
+     */
+    get state() {
+        if (this.openedAt === null) return 'closed'
+        return Date.now() - this.openedAt < this.resetTimeoutMs ? 'open' : 'half_open'
+    }
+
+    /**
+     * Throw a CircuitOpenError unless a call may go ahead
+     * @returns {boolean} Whether the call is the half-open trial, which must end in
+     * recordSuccess, recordFailure or releaseTrial
+     */
+    check() {
+        const state = this.state
+        if (state === 'open' || (state === 'half_open' && this.trialInFlight)) {
+            throw new CircuitOpenError(Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now()))
+        }
+        if (state === 'half_open') this.trialInFlight = true
+        return state === 'half_open'
+    }
+
+    /**
+     * Give up the trial slot without an outcome, e.g. when the caller cancelled
+     * the trial call, so the next call can be the trial instead
+     */
+    releaseTrial() {
+        this.trialInFlight = false
+    }
+
+    recordSuccess() {
+        this.failures = 0
+        this.openedAt = null
+        this.trialInFlight = false
+    }
+
+    /**
+     * @param {string} type - The failure's type from classifyError
+     */
+    recordFailure(type) {
+        if (!TRIPPING.has(type)) {
+            // The service answered; only the trial slot needs releasing
+            this.trialInFlight = false
+            return
+        }
+
+        this.failures++
+        if (this.trialInFlight || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now()
+        }
+        this.trialInFlight = false
+    }
+}
+
+/**
+ * Pick the delay before the next attempt: the service's Retry-After when it
+ * sent one, otherwise exponential backoff with jitter
+ * @param {Error} error - The failed attempt's error
+ * @param {number} attempt - Zero-based attempt number
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @returns {number} Milliseconds to wait
+ */
+function getBackoffDelay(error, attempt, baseDelayMs) {
+    const retryAfterMs = getRetryAfterMs(error)
+    if (retryAfterMs !== null) return retryAfterMs
+    const backoff = baseDelayMs * 2 ** attempt
+    return backoff / 2 + Math.random() * backoff / 2
+}
+
+/**
+ * Label an error with its failure type and retry delay before it reaches the caller
+ * @param {Error} error - The error to label
+ * @param {string} type - Its failure type
+ * @param {number|null} retryAfterMs - How long to wait before trying again
+ * @returns {Error} The same error
+ */
+function annotate(error, type, retryAfterMs) {
+    if (error && typeof error === 'object') {
+        error.failureType = type
+        if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs
+    }
+    return error
+}
+
+/**
+ * Run one attempt, rejecting as soon as the caller aborts or the attempt
+ * times out, even if the operation itself ignores its signal
+ * The timer and listener are owned here rather than combined with
+ * AbortSignal.any, which holds its sources weakly and can lose the timeout
+ * @param {Function} operation - Called with the attempt's signal
+ * @param {AbortSignal} [signal] - The caller's signal
+ * @param {number} [timeoutMs] - Attempt timeout
+ * @returns {Promise<*>} The operation's result
+ */
+function runAttempt(operation, signal, timeoutMs) {
+    const controller = new AbortController()
+    const onAbort = () => controller.abort(signal.reason)
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const timer = timeoutMs
+        ? setTimeout(() => controller.abort(new DOMException('The operation timed out', 'TimeoutError')), timeoutMs)
+        : null
+
+    return new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true })
+        Promise.resolve()
+            .then(() => operation(controller.signal))
+            .then(resolve, reject)
+    }).finally(() => {
+        clearTimeout(timer)
+        signal?.removeEventListener('abort', onAbort)
+    })
+}
+
+/**
+ * Record a failed attempt and decide whether to try again
+ * @param {Error} error - The attempt's error
+ * @param {number} attempt - Zero-based attempt number
+ * @param {boolean} canRetry - False once part of the result has been used
+ * @param {Object} options - Options passed to withResilience
+ * @param {boolean} isTrial - Whether the attempt was the circuit breaker's half-open trial
+ * @returns {number} Milliseconds to wait before the next attempt
+ * @throws {Error} The labelled error when there should be no next attempt
+ */
+function handleFailure(error, attempt, canRetry, options, isTrial) {
+    const { signal, maxRetries = 2, baseDelayMs = 1000, maxDelayMs = 20000, circuitBreaker, rateLimiter } = options
+
+    // A timeout's reason is a TimeoutError; the caller's abort is not a failure of the service,
+    // but a cancelled trial must still hand its slot back or the circuit never closes
+    const type = signal?.aborted ? 'aborted' : classifyError(error)
+    if (type === 'aborted') {
+        if (isTrial) circuitBreaker.releaseTrial()
+        throw annotate(error, type, null)
+    }
+    circuitBreaker?.recordFailure(type)
+
+    const delay = getBackoffDelay(error, attempt, baseDelayMs)
+    if (type === 'rate_limit') rateLimiter?.blockFor(delay)
+
+    if (!canRetry || !RETRYABLE.has(type) || attempt >= maxRetries || delay > maxDelayMs) {
+        throw annotate(error, type, RETRYABLE.has(type) ? delay : null)
+    }
+
+    console.log(`${type} error, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${maxRetries})`)
+    return delay
+}
+
+/**
+ * Book one attempt on the rate limiter's budget, queueing until it fits
+ * @param {Object} options - Options passed to withResilience
+ */
+async function bookAttempt({ signal, rateLimiter, tokens }) {
+    try {
+        await rateLimiter?.waitForToken(tokens, { signal })
+    } catch (error) {
+        // The queue is only left early when the caller aborts
+        throw annotate(error, 'aborted', null)
+    }
+}
+
+/**
+ * Ask the circuit breaker for permission, labelling its refusal
+ * @param {CircuitBreaker} [circuitBreaker] - Breaker for the service being called
+ * @returns {boolean} Whether the call is the half-open trial
+ */
+function checkCircuit(circuitBreaker) {
+    try {
+        return circuitBreaker?.check() ?? false
+    } catch (error) {
+        throw annotate(error, 'circuit_open', error.retryAfterMs)
+    }
+}
+
+/**
+ * Run an operation with bounded retries
+ * Retries rate limits, timeouts and server errors; anything else (and
+ * cancellation) is thrown at once. A Retry-After longer than maxDelayMs is
+ * not waited out: the error is thrown with retryAfterMs set so the caller
+ * can tell the user. Every thrown error carries its failureType.
+ * @param {Function} operation - Called with an AbortSignal for each attempt
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels the operation and any backoff
+ * @param {number} [options.timeoutMs] - Time limit for each attempt
+ * @param {number} [options.maxRetries] - Attempts after the first
+ * @param {number} [options.baseDelayMs] - Backoff after the first failure
+ * @param {number} [options.maxDelayMs] - Longest delay worth waiting for
+ * @param {CircuitBreaker} [options.circuitBreaker] - Breaker for the service being called
+ * @param {RateLimiter} [options.rateLimiter] - Paused for the retry delay when a rate limit is hit
+ * @param {number} [options.tokens] - Estimated tokens of one attempt; each attempt books them on the rate limiter first
+ * @returns {Promise<*>} The operation's result
+ */
+export async function withResilience(operation, options = {}) {
+    const { signal, timeoutMs, circuitBreaker } = options
+
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted()
+        // Only calls that estimated their tokens are booked
+        if (options.tokens !== undefined) await bookAttempt(options)
+        const isTrial = checkCircuit(circuitBreaker)
+
+        try {
+            const result = await runAttempt(operation, signal, timeoutMs)
+            circuitBreaker?.recordSuccess()
+            return result
+        } catch (error) {
+            await sleep(handleFailure(error, attempt, true, options, isTrial), signal)
+        }
+    }
+}
+
+/**
+ * Stream an operation's chunks with the same retries as withResilience
+ * Only retries while nothing has been yielded yet, so a partially streamed
+ * answer is never duplicated. There is no per-attempt timeout; long answers
+ * rely on the model client's own request timeout.
+ * @param {Function} createStream - Called with an AbortSignal; returns a promise for an async iterable
+ * @param {Object} [options] - The same options as withResilience, minus timeoutMs
+ * @returns {AsyncGenerator} The chunks of the first successful stream
+ */
+export async function* streamWithResilience(createStream, options = {}) {
+    const { signal, circuitBreaker } = options
+
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted()
+        if (options.tokens !== undefined) await bookAttempt(options)
+        const isTrial = checkCircuit(circuitBreaker)
+
+        let started = false
+        try {
+            const stream = await createStream(signal ?? new AbortController().signal)
+            for await (const chunk of stream) {
+                // The service is answering, whatever happens to the rest of the stream
+                if (!started) circuitBreaker?.recordSuccess()
+                started = true
+                yield chunk
+            }
+            if (!started) circuitBreaker?.recordSuccess()
+            return
+        } catch (error) {
+            await sleep(handleFailure(error, attempt, !started, options, isTrial && !started), signal)
+        }
+    }
+}
@@ -0,0 +1,102 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CircuitBreaker, streamWithResilience, withResilience } from './resilience.js'
+import { RateLimiter } from './rateLimit.js'
+
+const serverError = () => Object.assign(new Error('Internal server error'), { status: 500 })
+
+/**
+ * A breaker that has just become half-open
+ * @returns {CircuitBreaker}
+ */
+function halfOpenBreaker() {
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 })
+    circuitBreaker.recordFailure('server')
+    circuitBreaker.openedAt -= 1000
+    assert.equal(circuitBreaker.state, 'half_open')
+    return circuitBreaker
+}
+
+test('an open circuit refuses calls until the reset timeout', async () => {
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 })
+    await assert.rejects(withResilience(async () => { throw serverError() }, { circuitBreaker, maxRetries: 0 }))
+
+    await assert.rejects(withResilience(async () => 'ok', { circuitBreaker }), { failureType: 'circuit_open' })
+})
+
+test('a cancelled trial call releases the trial slot', async () => {
+    const circuitBreaker = halfOpenBreaker()
+    const controller = new AbortController()
+
+    const trial = withResilience(signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason))
+    }), { circuitBreaker, signal: controller.signal })
+    assert.equal(circuitBreaker.trialInFlight, true)
+
+    controller.abort(new DOMException('Stopped', 'AbortError'))
+    await assert.rejects(trial, { failureType: 'aborted' })
+
+    assert.equal(circuitBreaker.trialInFlight, false)
+    assert.equal(await withResilience(async () => 'ok', { circuitBreaker }), 'ok')
+    assert.equal(circuitBreaker.state, 'closed')
+})
+
+test('a cancelled streaming trial releases the trial slot', async () => {
+    const circuitBreaker = halfOpenBreaker()
+    const controller = new AbortController()
+
+    const stream = streamWithResilience(signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason))
+    }), { circuitBreaker, signal: controller.signal })
+    const next = stream.next()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(circuitBreaker.trialInFlight, true)
+
+    controller.abort(new DOMException('Stopped', 'AbortError'))
+    await assert.rejects(next, { failureType: 'aborted' })
+
+    assert.equal(circuitBreaker.trialInFlight, false)
+    assert.equal(await withResilience(async () => 'ok', { circuitBreaker }), 'ok')
+})
+
+test('a call cancelled while another call is the trial leaves the trial slot alone', async () => {
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 })
+    const controller = new AbortController()
+    const slow = withResilience(signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason))
+    }), { circuitBreaker, signal: controller.signal })
+
+    circuitBreaker.recordFailure('server')
+    circuitBreaker.openedAt -= 1000
+    circuitBreaker.check()
+
+    controller.abort(new DOMException('Stopped', 'AbortError'))
+    await assert.rejects(slow, { failureType: 'aborted' })
+    assert.equal(circuitBreaker.trialInFlight, true)
+})
+
+test('every attempt, retries included, books its tokens on the rate limiter', async () => {
+    const rateLimiter = new RateLimiter({ requestsPerMinute: 2, tokensPerMinute: 100 })
+    let calls = 0
+    const result = await withResilience(async () => {
+        if (calls++ === 0) throw serverError()
+        return 'ok'
+    }, { rateLimiter, tokens: 40, baseDelayMs: 1 })
+
+    assert.equal(result, 'ok')
+    assert.ok(rateLimiter.getWaitTime() > 0)
+    assert.ok(rateLimiter.getWaitTime(30) > 0)
+})
+
+test('a call aborted while queued for the budget is never sent', async () => {
+    const rateLimiter = new RateLimiter({ requestsPerMinute: 1 })
+    rateLimiter.tryRemoveToken()
+    const controller = new AbortController()
+    let sent = false
+
+    const call = withResilience(async () => { sent = true }, { rateLimiter, tokens: 1, signal: controller.signal })
+    controller.abort(new DOMException('Stopped', 'AbortError'))
+
+    await assert.rejects(call, { failureType: 'aborted' })
+    assert.equal(sent, false)
+})
@@ -0,0 +1,890 @@
+// API server: hosts ChatManager, OpenAIService and SupabaseService so that
+// API keys stay on the server and the browser only talks to /api/*
+import http from 'node:http'
+import { readFile } from 'node:fs/promises'
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto'
+import { dirname, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { RateLimiter } from './rateLimit.js'
+import { OpenAIService } from './openAIService.js'
+import { ChatManager } from './chatManager.js'
+import { IngestionService } from './ingestionService.js'
+import { HybridRetriever } from './hybridRetriever.js'
+import { AnswerCache } from './answerCache.js'
+import { createStorage } from './storage.js'
+import { getProviderConfig, getStorageConfig, loadServerEnv } from './serverEnv.js'
+import { getAnswerCacheConfig, getChatConfig, getRateLimitConfig, getRetrievalConfig, loadBotConfig } from './botConfig.js'
+
+const rootDir = dirname(fileURLToPath(import.meta.url))
+
+// Why ChatManager offered a handoff; mirrors the check in 005_support_tickets.sql
+const HANDOFF_REASONS = ['no_context', 'unanswered', 'low_confidence']
+
+/**
+ * Error carrying the HTTP status to respond with
+ */
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message)
+        this.status = status
+        this.headers = headers
+    }
+}
+
+/**
+ * ChatServer Class
+ * Routes /api requests to the chat, thread and ingestion services
+ */
+export class ChatServer {
+    /**
+     * Initialize the server with its services and security settings
+     * @param {Object} config - Server configuration
+     * @param {Object} config.providerConfig - Chat and embedding provider config for OpenAIService
+     * @param {Object} config.storageConfig - Storage backend config for createStorage
+     * @param {Object} [config.retrievalConfig] - Retrieval settings from getRetrievalConfig
+     * @param {Object} [config.chatConfig] - Prompt and memory settings for ChatManager from getChatConfig
+     * @param {Object} [config.answerCacheConfig] - AnswerCache settings; no answers are cached when omitted
+     * @param {Object} [config.rateLimitConfig] - Chat and embedding model budgets from getRateLimitConfig
+     * @param {number} [config.clientRateLimit] - Chat requests each client may make per minute
+     * @param {string} [config.sharedSecret] - Required X-API-Key header value, if set
+     * @param {string} [config.sessionSecret] - Secret for signing session cookies, if set
+     * @param {number} [config.trustedProxies] - Reverse proxies in front of the server whose X-Forwarded-For entries are trusted
+     * @param {string} [config.adminToken] - Bearer token for /api/admin; the admin API is off when unset
+     */
+    constructor(config) {
+        this.openAIService = new OpenAIService(config.providerConfig)
+        const { storageService, vectorStore } = createStorage(config.storageConfig, this.openAIService.embeddings)
+        this.storageService = storageService
+        this.vectorStore = vectorStore
+
+        // Vector and keyword search merged with reciprocal rank fusion
+        const { weights, rrfK, ...chatOptions } = config.retrievalConfig ?? {}
+        this.retriever = new HybridRetriever({
+            vectorStore: this.vectorStore,
+            storageService: this.storageService,
+            weights,
+            rrfK
+        })
+
+        // One cache per knowledge base, shared by its threads so a question answered
+        // for one user is reused for the next
+        this.answerCacheConfig = config.answerCacheConfig
+        this.answerCaches = new Map()
+        this.chatOptions = { ...chatOptions, ...config.chatConfig }
+
+        // Shared budgets for the OpenAI account's chat and embedding models, plus a separate budget per client
+        this.chatRateLimiter = new RateLimiter(config.rateLimitConfig?.chat ?? { requestsPerMinute: 3 })
+        this.embeddingRateLimiter = new RateLimiter(config.rateLimitConfig?.embeddings ?? { requestsPerMinute: 3 })
+        this.clientRateLimit = config.clientRateLimit ?? 10
+        this.clientRateLimiters = new Map()
+        this.maxTrackedCallers = 1000
+
+        // Re-indexing from the admin console draws on the same embedding budget as chat
+        this.ingestionService = new IngestionService({
+            openAIService: this.openAIService,
+            storageService: this.storageService,
+            loadText: path => readFile(resolve(rootDir, path), 'utf8'),
+            rateLimiter: this.embeddingRateLimiter
+        })
+        this.activeReindex = null
+
+        this.sharedSecret = config.sharedSecret
+        this.sessionSecret = config.sessionSecret
+        this.trustedProxies = config.trustedProxies ?? 0
+        this.adminToken = config.adminToken
+
+        // One ChatManager per thread keeps its memory (including the rolling summary) warm
+        this.chatManagers = new Map()
+        this.maxCachedThreads = 100
+
+        // The turn each thread is answering right now, with the controller that stops it
+        this.activeTurns = new Map()
+    }
+
+    /**
+     * Handle an incoming HTTP request
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost')
+
+        try {
+            if (!url.pathname.startsWith('/api/')) {
+                throw new HttpError(404, 'Not found')
+            }
+
+            this.checkSharedSecret(req)
+
+            if (req.method === 'GET' && url.pathname === '/api/session') {
+                return this.handleSession(req, res)
+            }
+            if (url.pathname.startsWith('/api/admin/')) {
+                return await this.handleAdmin(req, res, url)
+            }
+
+            this.checkSession(req)
+            const clientId = this.getClientId(req)
+
+            if (req.method === 'POST' && url.pathname === '/api/chat') {
+                return await this.handleChat(req, res, clientId)
+            }
+            if (req.method === 'GET' && url.pathname === '/api/knowledge-bases') {
+                return this.sendJson(res, 200, await this.listKnowledgeBases())
+            }
+            if (req.method === 'GET' && url.pathname === '/api/ingest/status') {
+                const knowledgeBase = await this.findKnowledgeBase(url.searchParams.get('knowledgeBase'))
+                return this.sendJson(res, 200, await this.ingestionService.checkReadiness(knowledgeBase.id))
+            }
+            if (req.method === 'GET' && url.pathname === '/api/threads') {
+                const knowledgeBase = await this.findKnowledgeBase(url.searchParams.get('knowledgeBase'))
+                return this.sendJson(res, 200, await this.storageService.listConversations(clientId, knowledgeBase.id))
+            }
+
+            if (req.method === 'POST' && url.pathname === '/api/feedback') {
+                return await this.handleFeedback(req, res, clientId)
+            }
+            if (req.method === 'POST' && url.pathname === '/api/tickets') {
+                return await this.handleCreateTicket(req, res, clientId)
+            }
+            if (req.method === 'GET' && url.pathname === '/api/tickets') {
+                return this.sendJson(res, 200, await this.storageService.listSupportTickets(clientId))
+            }
+
+            const ticketMatch = url.pathname.match(/^\/api\/tickets\/([\w-]+)$/)
+            if (ticketMatch && req.method === 'GET') {
+                const ticket = await this.storageService.getSupportTicket(ticketMatch[1])
+                if (!ticket || ticket.client_id !== clientId) {
+                    throw new HttpError(404, 'Ticket not found')
+                }
+                const { client_id, ...status } = ticket
+                return this.sendJson(res, 200, status)
+            }
+
+            const threadMatch = url.pathname.match(/^\/api\/threads\/([\w-]+)(\/messages)?$/)
+            if (threadMatch) {
+                const [, threadId, messages] = threadMatch
+                await this.getOwnedThread(threadId, clientId)
+
+                if (req.method === 'GET' && messages) {
+                    return this.sendJson(res, 200, await this.storageService.getConversationMessages(threadId))
+                }
+                if (req.method === 'DELETE' && !messages) {
+                    await this.storageService.deleteConversation(threadId)
+                    this.chatManagers.delete(threadId)
+                    return this.sendJson(res, 200, { deleted: threadId })
+                }
+            }
+
+            throw new HttpError(404, 'Not found')
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`Error handling ${req.method} ${url.pathname}:`, error)
+            }
+            if (res.headersSent) {
+                res.end()
+                return
+            }
+            const status = error.status ?? 500
+            this.sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message }, error.headers)
+        }
+    }
+
+    /**
+     * Answer a question, streaming events as newline-delimited JSON
+     * The first event names the thread, so new chats learn their id. New
+     * threads belong to the requested knowledge base; existing threads keep
+     * the one they were started with. With
+     * replaceMessageId the question is answered in place of the thread's latest
+     * exchange, whose answer that is (edit and regenerate). The exchange is
+     * only replaced once the new answer is done, so a failed or stopped turn
+     * leaves it as it was.
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @param {string} clientId - The calling client
+     */
+    async handleChat(req, res, clientId) {
+        this.checkClientRateLimit(this.getCallerKey(req))
+
+        const { question, threadId, knowledgeBase: knowledgeBaseId, replaceMessageId = null } = await this.readJson(req)
+        if (typeof question !== 'string' || !question.trim()) {
+            throw new HttpError(400, 'A question is required')
+        }
+        if (question.length > 2000) {
+            throw new HttpError(400, 'Questions are limited to 2000 characters')
+        }
+        if (replaceMessageId !== null && typeof threadId !== 'string') {
+            throw new HttpError(400, 'A threadId is required to replace an answer')
+        }
+
+        const knowledgeBase = threadId ? null : await this.findKnowledgeBase(knowledgeBaseId)
+        const thread = threadId
+            ? await this.getOwnedThread(threadId, clientId)
+            : await this.storageService.createConversation(
+                clientId,
+                question.length > 60 ? `${question.slice(0, 57)}...` : question,
+                knowledgeBase.id
+            )
+        const chatManager = await this.getChatManager(thread, knowledgeBase)
+
+        const turn = await this.startTurn(thread.id)
+        try {
+            const replaced = replaceMessageId !== null
+                ? await this.findLatestTurn(thread.id, replaceMessageId)
+                : null
+
+            res.writeHead(200, {
+                'Content-Type': 'application/x-ndjson; charset=utf-8',
+                'Cache-Control': 'no-cache'
+            })
+            const send = event => res.write(`${JSON.stringify(event)}\n`)
+
+            send({ type: 'thread', thread: { id: thread.id, title: thread.title } })
+
+            // Stop the turn, including any queued wait or model call, if the client goes away
+            res.on('close', () => {
+                if (!res.writableEnded) turn.controller.abort()
+            })
+
+            // Regenerating asks for a different answer, so a cached one won't do
+            const events = chatManager.streamUserInput(question, {
+                signal: turn.controller.signal,
+                skipCache: replaced?.question.content === question,
+                replaceLastTurn: replaced !== null
+            })
+            for await (const event of events) {
+                if (event.type !== 'done') {
+                    send(event)
+                    continue
+                }
+
+                if (replaced) {
+                    await this.storageService.deleteConversationMessages(thread.id, [replaced.question.id, replaced.answer.id])
+                }
+
+                // Save the exchange first so the answer's message id can be used for feedback
+                const [, answerMessage] = await this.storageService.insertConversationMessages(thread.id, [
+                    { role: 'human', content: question },
+                    {
+                        role: 'ai',
+                        content: event.response,
+                        sources: event.sources,
+                        standaloneQuestion: event.standaloneQuestion
+                    }
+                ])
+                send({ ...event, messageId: answerMessage?.id })
+            }
+            res.end()
+        } finally {
+            this.finishTurn(thread.id, turn)
+        }
+    }
+
+    /**
+     * Claim a thread for a new turn, first stopping (and waiting out) any turn
+     * still answering on it so the two never interleave in its ChatManager
+     * @param {string} threadId - The thread being asked
+     * @returns {Promise<Object>} The turn, with the controller that stops it
+     */
+    async startTurn(threadId) {
+        const previous = this.activeTurns.get(threadId)
+        if (previous) {
+            previous.controller.abort()
+            await previous.finished
+        }
+
+        const turn = { controller: new AbortController() }
+        turn.finished = new Promise(resolve => { turn.resolve = resolve })
+        this.activeTurns.set(threadId, turn)
+        return turn
+    }
+
+    /**
+     * @param {string} threadId - The thread that was asked
+     * @param {Object} turn - The turn returned by startTurn
+     */
+    finishTurn(threadId, turn) {
+        if (this.activeTurns.get(threadId) === turn) this.activeTurns.delete(threadId)
+        turn.resolve()
+    }
+
+    /**
+     * Find the thread's latest exchange, which an edit or regenerate replaces
+     * @param {string} threadId - The thread
+     * @param {number} messageId - Id of the answer being replaced; must be the latest message
+     * @returns {Promise<Object>} The exchange's { question, answer } messages
+     */
+    async findLatestTurn(threadId, messageId) {
+        const messages = await this.storageService.getConversationMessages(threadId)
+        const [question, answer] = messages.slice(-2)
+        if (answer?.id !== messageId || answer.role !== 'ai' || question?.role !== 'human') {
+            throw new HttpError(409, 'Only the latest answer can be edited or regenerated')
+        }
+
+        return { question, answer }
+    }
+
+    /**
+     * Record a thumbs up or down (and optional comment) on an answer
+     * The question, standalone question, chunks and answer are copied from the
+     * saved thread rather than trusted from the request
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @param {string} clientId - The calling client
+     */
+    async handleFeedback(req, res, clientId) {
+        const { threadId, messageId, rating, comment } = await this.readJson(req)
+        if (rating !== 'up' && rating !== 'down') {
+            throw new HttpError(400, 'rating must be "up" or "down"')
+        }
+        if (comment != null && (typeof comment !== 'string' || comment.length > 2000)) {
+            throw new HttpError(400, 'The comment must be text of at most 2000 characters')
+        }
+        if (typeof threadId !== 'string') {
+            throw new HttpError(400, 'A threadId is required')
+        }
+
+        await this.getOwnedThread(threadId, clientId)
+        const messages = await this.storageService.getConversationMessages(threadId)
+        const index = messages.findIndex(message => message.id === messageId && message.role === 'ai')
+        if (index === -1) {
+            throw new HttpError(404, 'Answer not found')
+        }
+        const answer = messages[index]
+        const question = messages[index - 1]?.role === 'human' ? messages[index - 1].content : ''
+
+        await this.storageService.saveAnswerFeedback({
+            message_id: answer.id,
+            client_id: clientId,
+            rating: rating === 'up' ? 1 : -1,
+            comment: comment?.trim() || null,
+            question,
+            standalone_question: answer.standalone_question ?? null,
+            chunks: (answer.sources ?? []).map(({ id, source, chunkIndex, contentHash, similarity }) => {
+                return { id, source, chunkIndex, contentHash, similarity }
+            }),
+            answer: answer.content
+        })
+        this.sendJson(res, 200, { saved: true })
+    }
+
+    /**
+     * Open a support ticket for a thread the bot could not answer
+     * The thread's transcript and the chunks behind its latest answer are attached
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @param {string} clientId - The calling client
+     */
+    async handleCreateTicket(req, res, clientId) {
+        this.checkClientRateLimit(this.getCallerKey(req))
+
+        const { threadId, email, note, reason } = await this.readJson(req)
+        if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+            throw new HttpError(400, 'A valid email address is required')
+        }
+        if (note != null && (typeof note !== 'string' || note.length > 2000)) {
+            throw new HttpError(400, 'The note must be text of at most 2000 characters')
+        }
+        if (!HANDOFF_REASONS.includes(reason)) {
+            throw new HttpError(400, `reason must be one of: ${HANDOFF_REASONS.join(', ')}`)
+        }
+        if (typeof threadId !== 'string') {
+            throw new HttpError(400, 'A threadId is required')
+        }
+
+        const thread = await this.getOwnedThread(threadId, clientId)
+        const messages = await this.storageService.getConversationMessages(thread.id)
+        const lastAnswer = messages.findLast(message => message.role === 'ai')
+
+        const ticket = await this.storageService.createSupportTicket({
+            client_id: clientId,
+            conversation_id: thread.id,
+            email: email.trim(),
+            note: note?.trim() || null,
+            reason,
+            transcript: messages.map(({ role, content }) => ({ role, content })),
+            chunks: lastAnswer?.sources ?? []
+        })
+        this.sendJson(res, 201, ticket)
+    }
+
+    /**
+     * Route /api/admin requests from the admin console
+     * Every route needs the admin token as a bearer credential
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @param {URL} url - The parsed request URL
+     */
+    async handleAdmin(req, res, url) {
+        this.checkAdmin(req)
+        const path = url.pathname.slice('/api/admin'.length)
+
+        if (req.method === 'GET' && path === '/sources') {
+            return this.sendJson(res, 200, {
+                sources: await this.ingestionService.getStatus(),
+                reindexing: this.activeReindex
+            })
+        }
+        if (req.method === 'GET' && path === '/chunks') {
+            return this.sendJson(res, 200, await this.listChunks(url.searchParams))
+        }
+        if (req.method === 'GET' && path === '/search') {
+            return this.sendJson(res, 200, await this.searchChunks(url.searchParams))
+        }
+        if (req.method === 'POST' && path === '/reindex') {
+            return await this.handleReindex(req, res)
+        }
+
+        const chunkMatch = path.match(/^\/chunks\/(\d+)(\/reembed)?$/)
+        if (chunkMatch) {
+            const [, id, reembed] = chunkMatch
+            const chunk = await this.storageService.getChunk(Number(id))
+            if (!chunk) {
+                throw new HttpError(404, 'Chunk not found')
+            }
+
+            if (req.method === 'DELETE' && !reembed) {
+                await this.storageService.deleteChunks([chunk.id])
+                this.invalidateCachedAnswers(chunk.metadata?.source)
+                return this.sendJson(res, 200, { deleted: chunk.id })
+            }
+            if (req.method === 'POST' && reembed) {
+                // Give up the queued wait or request if the console goes away
+                const controller = new AbortController()
+                res.on('close', () => {
+                    if (!res.writableEnded) controller.abort()
+                })
+                const metadata = await this.ingestionService.reembedChunk(chunk, { signal: controller.signal })
+                this.invalidateCachedAnswers(chunk.metadata?.source)
+                return this.sendJson(res, 200, { id: chunk.id, content: chunk.content, metadata })
+            }
+        }
+
+        throw new HttpError(404, 'Not found')
+    }
+
+    /**
+     * Page through a source's stored chunks in chunk order
+     * @param {URLSearchParams} params - source, plus optional offset and limit
+     * @returns {Promise<Object>} { source, total, offset, chunks }
+     */
+    async listChunks(params) {
+        const source = params.get('source')
+        if (!source) {
+            throw new HttpError(400, 'A source is required')
+        }
+        const offset = Math.max(0, parseInt(params.get('offset') ?? '0', 10) || 0)
+        const limit = Math.min(200, Math.max(1, parseInt(params.get('limit') ?? '50', 10) || 50))
+
+        const rows = await this.storageService.getSourceChunks(source)
+        rows.sort((a, b) => (a.metadata?.chunkIndex ?? 0) - (b.metadata?.chunkIndex ?? 0))
+        return { source, total: rows.length, offset, chunks: rows.slice(offset, offset + limit) }
+    }
+
+    /**
+     * Search stored chunks by keyword (full-text) or by embedding similarity
+     * @param {URLSearchParams} params - q, mode ('keyword' or 'semantic'), optional source and k
+     * @returns {Promise<Object>} { results } with each chunk's id, content, metadata and similarity
+     */
+    async searchChunks(params) {
+        const query = params.get('q')?.trim()
+        const mode = params.get('mode') ?? 'semantic'
+        if (!query) {
+            throw new HttpError(400, 'A search query is required')
+        }
+        if (mode !== 'keyword' && mode !== 'semantic') {
+            throw new HttpError(400, 'mode must be "keyword" or "semantic"')
+        }
+        const k = Math.min(50, Math.max(1, parseInt(params.get('k') ?? '10', 10) || 10))
+        const filter = params.get('source') ? { source: params.get('source') } : {}
+
+        // Keyword search needs no embedding, so it costs no model request
+        if (mode === 'keyword') {
+            const rows = await this.storageService.keywordSearch(query, null, k, filter)
+            return { results: rows.map(({ id, content, metadata, similarity, rank }) => ({ id, content, metadata, similarity, rank })) }
+        }
+
+        const embedding = await this.openAIService.generateEmbedding(query, { rateLimiter: this.embeddingRateLimiter })
+
+        // Vector store results carry no row ids, so look them up by source and chunk index
+        const results = await this.vectorStore.similaritySearchVectorWithScore(embedding, k, filter)
+        const rowsBySource = new Map()
+        for (const source of new Set(results.map(([doc]) => doc.metadata?.source))) {
+            rowsBySource.set(source, await this.storageService.getSourceChunks(source))
+        }
+        return {
+            results: results.map(([doc, similarity]) => ({
+                id: rowsBySource.get(doc.metadata?.source)
+                    ?.find(row => row.metadata?.chunkIndex === doc.metadata?.chunkIndex)?.id ?? null,
+                content: doc.pageContent,
+                metadata: doc.metadata,
+                similarity
+            }))
+        }
+    }
+
+    /**
+     * Re-index one source, streaming its progress as newline-delimited JSON
+     * Only one re-index runs at a time
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     */
+    async handleReindex(req, res) {
+        const { source, force = false } = await this.readJson(req)
+        if (this.activeReindex) {
+            throw new HttpError(409, `Already re-indexing ${this.activeReindex.source}`)
+        }
+        const sources = await this.ingestionService.loadManifest()
+        if (!sources.some(entry => entry.name === source)) {
+            throw new HttpError(404, 'Unknown source')
+        }
+
+        this.activeReindex = { source, current: 0, total: 0, resuming: false }
+        res.writeHead(200, {
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Cache-Control': 'no-cache'
+        })
+        // Keep going if the console is closed; the next /sources call shows the result
+        const send = event => {
+            if (!res.destroyed) res.write(`${JSON.stringify(event)}\n`)
+        }
+
+        try {
+            const report = await this.ingestionService.reindexSource(source, {
+                force: Boolean(force),
+                onProgress: progress => {
+                    Object.assign(this.activeReindex, progress)
+                    send({ type: 'progress', ...progress })
+                }
+            })
+            this.invalidateCachedAnswers(source)
+            send({ type: 'done', report })
+        } catch (error) {
+            console.error(`Error re-indexing ${source}:`, error)
+            send({ type: 'error', message: `Re-indexing ${source} failed. Check the server log.` })
+        } finally {
+            this.activeReindex = null
+            res.end()
+        }
+    }
+
+    /**
+     * Require the admin token as a bearer credential
+     * Admin routes answer 404 when no admin token is configured
+     * @param {http.IncomingMessage} req - The request
+     */
+    checkAdmin(req) {
+        if (!this.adminToken) {
+            throw new HttpError(404, 'Not found')
+        }
+        const match = (req.headers.authorization ?? '').match(/^Bearer (.+)$/)
+        if (!match || !this.safeEqual(match[1], this.adminToken)) {
+            throw new HttpError(401, 'Admin credential required')
+        }
+    }
+
+    /**
+     * Issue a signed session cookie
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     */
+    handleSession(req, res) {
+        if (!this.sessionSecret) {
+            return this.sendJson(res, 200, { session: false })
+        }
+
+        if (!this.hasValidSession(req)) {
+            const sessionId = randomUUID()
+            res.setHeader('Set-Cookie', `chat_session=${sessionId}.${this.sign(sessionId)}; HttpOnly; SameSite=Strict; Path=/api; Max-Age=86400`)
+        }
+        this.sendJson(res, 200, { session: true })
+    }
+
+    /**
+     * Get the cached ChatManager for a thread, restoring its history on first use
+     * The ChatManager answers as the thread's knowledge base and only retrieves its chunks
+     * @param {Object} thread - The thread
+     * @param {Object} [knowledgeBase] - The thread's knowledge base, looked up when omitted
+     * @returns {Promise<ChatManager>} The thread's ChatManager
+     */
+    async getChatManager(thread, knowledgeBase) {
+        let chatManager = this.chatManagers.get(thread.id)
+
+        if (!chatManager) {
+            // Threads from before knowledge bases have none stored and belong to the default
+            knowledgeBase ??= await this.findKnowledgeBase(thread.knowledge_base)
+            chatManager = new ChatManager(this.openAIService, this.retriever, this.chatRateLimiter, {
+                ...this.chatOptions,
+                embeddingRateLimiter: this.embeddingRateLimiter,
+                answerCache: this.getAnswerCache(knowledgeBase.id),
+                persona: knowledgeBase.persona,
+                escalationContact: knowledgeBase.escalationContact,
+                filter: { knowledgeBase: knowledgeBase.id }
+            })
+            await chatManager.loadHistory(await this.storageService.getConversationMessages(thread.id))
+        }
+
+        // Re-insert so the Map's order tracks recent use, then evict the oldest
+        this.chatManagers.delete(thread.id)
+        this.chatManagers.set(thread.id, chatManager)
+        if (this.chatManagers.size > this.maxCachedThreads) {
+            this.chatManagers.delete(this.chatManagers.keys().next().value)
+        }
+
+        return chatManager
+    }
+
+    /**
+     * Get a knowledge base's answer cache, creating it on first use
+     * @param {string} knowledgeBaseId - The knowledge base
+     * @returns {AnswerCache|null} Its cache, or null when answers are not cached
+     */
+    getAnswerCache(knowledgeBaseId) {
+        if (!this.answerCacheConfig) return null
+
+        let answerCache = this.answerCaches.get(knowledgeBaseId)
+        if (!answerCache) {
+            answerCache = new AnswerCache({
+                embeddings: this.openAIService.embeddings,
+                storageService: this.storageService,
+                ...this.answerCacheConfig
+            })
+            this.answerCaches.set(knowledgeBaseId, answerCache)
+        }
+        return answerCache
+    }
+
+    /**
+     * Drop cached answers built from a source, in every knowledge base's cache
+     * @param {string} source - Name of the source
+     */
+    invalidateCachedAnswers(source) {
+        for (const answerCache of this.answerCaches.values()) {
+            answerCache.invalidateSource(source)
+        }
+    }
+
+    /**
+     * Look up a knowledge base from the manifest
+     * @param {string} [id] - Its id; the default knowledge base when omitted
+     * @returns {Promise<Object>} The knowledge base
+     */
+    async findKnowledgeBase(id) {
+        if (id != null && typeof id !== 'string') {
+            throw new HttpError(400, 'knowledgeBase must be a string')
+        }
+        const knowledgeBase = await this.ingestionService.getKnowledgeBase(id)
+        if (!knowledgeBase) {
+            throw new HttpError(404, 'Unknown knowledge base')
+        }
+        return knowledgeBase
+    }
+
+    /**
+     * Describe the knowledge bases the chat can be pointed at
+     * @returns {Promise<Object>} { default, knowledgeBases } with each one's id, name, greeting and escalation contact
+     */
+    async listKnowledgeBases() {
+        const knowledgeBases = await this.ingestionService.loadKnowledgeBases()
+        return {
+            default: knowledgeBases[0].id,
+            knowledgeBases: knowledgeBases.map(({ id, name, greeting, escalationContact }) => ({
+                id,
+                name,
+                greeting,
+                escalationContact
+            }))
+        }
+    }
+
+    /**
+     * Load a thread and make sure it belongs to the caller
+     * @param {string} threadId - The thread
+     * @param {string} clientId - The calling client
+     * @returns {Promise<Object>} The thread
+     */
+    async getOwnedThread(threadId, clientId) {
+        const thread = await this.storageService.getConversation(threadId)
+        if (!thread || thread.client_id !== clientId) {
+            throw new HttpError(404, 'Thread not found')
+        }
+        return thread
+    }
+
+    /**
+     * Identify the caller by their signed session when sessions are on,
+     * otherwise by their address, so it is never a value they choose
+     * @param {http.IncomingMessage} req - The request
+     * @returns {string} The caller key
+     */
+    getCallerKey(req) {
+        const sessionId = this.sessionSecret ? this.getSessionId(req) : null
+        return sessionId ? `session:${sessionId}` : `ip:${this.getClientAddress(req)}`
+    }
+
+    /**
+     * The caller's address: the connection's, or behind trusted proxies the
+     * one the outermost of them saw. Entries left of it were written by the
+     * caller and are ignored
+     * @param {http.IncomingMessage} req - The request
+     * @returns {string} The address
+     */
+    getClientAddress(req) {
+        const forwarded = this.trustedProxies > 0 ? String(req.headers['x-forwarded-for'] ?? '') : ''
+        const addresses = [
+            ...forwarded.split(',').map(address => address.trim()).filter(Boolean),
+            req.socket.remoteAddress
+        ]
+        return addresses[Math.max(0, addresses.length - 1 - this.trustedProxies)]
+    }
+
+    /**
+     * Identify the client that owns threads and tickets: the caller, narrowed
+     * by the X-Client-Id header to one browser among those sharing it
+     * @param {http.IncomingMessage} req - The request
+     * @returns {string} The client id
+     */
+    getClientId(req) {
+        const callerKey = this.getCallerKey(req)
+        const clientId = req.headers['x-client-id']
+        if (typeof clientId === 'string' && /^[\w-]{8,64}$/.test(clientId)) {
+            return `${callerKey}:${clientId}`
+        }
+        return callerKey
+    }
+
+    /**
+     * Reject the request when the caller has used up its chat budget
+     * @param {string} callerKey - The caller, from getCallerKey
+     */
+    checkClientRateLimit(callerKey) {
+        let rateLimiter = this.clientRateLimiters.get(callerKey)
+        if (!rateLimiter) {
+            rateLimiter = new RateLimiter({ requestsPerMinute: this.clientRateLimit })
+        }
+
+        // Re-insert so the Map's order tracks recent use, then evict the oldest
+        this.clientRateLimiters.delete(callerKey)
+        this.clientRateLimiters.set(callerKey, rateLimiter)
+        if (this.clientRateLimiters.size > this.maxTrackedCallers) {
+            this.clientRateLimiters.delete(this.clientRateLimiters.keys().next().value)
+        }
+
+        if (!rateLimiter.tryRemoveToken()) {
+            const retryAfter = Math.ceil(rateLimiter.getWaitTime() / 1000)
+            throw new HttpError(429, 'Rate limit exceeded', { 'Retry-After': String(retryAfter) })
+        }
+    }
+
+    /**
+     * Require the X-API-Key header when a shared secret is configured
+     * @param {http.IncomingMessage} req - The request
+     */
+    checkSharedSecret(req) {
+        if (this.sharedSecret && !this.safeEqual(req.headers['x-api-key'] ?? '', this.sharedSecret)) {
+            throw new HttpError(401, 'Invalid API key')
+        }
+    }
+
+    /**
+     * Require a signed session cookie when a session secret is configured
+     * @param {http.IncomingMessage} req - The request
+     */
+    checkSession(req) {
+        if (this.sessionSecret && !this.hasValidSession(req)) {
+            throw new HttpError(401, 'Session required')
+        }
+    }
+
+    /**
+     * Check the request's session cookie signature
+     * @param {http.IncomingMessage} req - The request
+     * @returns {boolean} Whether the cookie is present and valid
+     */
+    hasValidSession(req) {
+        return this.getSessionId(req) !== null
+    }
+
+    /**
+     * @param {http.IncomingMessage} req - The request
+     * @returns {string|null} The id in the request's session cookie, or null when it is missing or forged
+     */
+    getSessionId(req) {
+        const match = (req.headers.cookie ?? '').match(/(?:^|;\s*)chat_session=([\w-]+)\.([\w-]+)/)
+        return match && this.safeEqual(match[2], this.sign(match[1])) ? match[1] : null
+    }
+
+    sign(value) {
+        return createHmac('sha256', this.sessionSecret).update(value).digest('base64url')
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(String(a))
+        const bufferB = Buffer.from(String(b))
+        return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB)
+    }
+
+    /**
+     * Read a JSON request body
+     * @param {http.IncomingMessage} req - The request
+     * @param {number} [maxBytes] - Largest body accepted
+     * @returns {Promise<Object>} The parsed body
+     */
+    async readJson(req, maxBytes = 16 * 1024) {
+        let body = ''
+        for await (const chunk of req) {
+            body += chunk
+            if (body.length > maxBytes) {
+                throw new HttpError(413, 'Request body too large')
+            }
+        }
+
+        try {
+            return JSON.parse(body || '{}')
+        } catch {
+            throw new HttpError(400, 'Request body must be JSON')
+        }
+    }
+
+    sendJson(res, status, data, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers })
+        res.end(JSON.stringify(data))
+    }
+
+    /**
+     * Start listening for requests
+     * @param {number} port - Port to listen on
+     * @returns {http.Server} The running server
+     */
+    listen(port) {
+        const server = http.createServer((req, res) => this.handle(req, res))
+        server.listen(port, () => console.log(`API server listening on http://localhost:${port}`))
+        return server
+    }
+}
+
+// Start the server when run directly (npm run server)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const env = await loadServerEnv(rootDir)
+    const botConfig = await loadBotConfig(rootDir, env).catch(error => {
+        // Refuse to start with a broken config, listing everything that is wrong with it
+        console.error(error.message)
+        process.exit(1)
+    })
+    const storageConfig = getStorageConfig(env)
+    if (storageConfig.filePath) storageConfig.filePath = resolve(rootDir, storageConfig.filePath)
+
+    new ChatServer({
+        providerConfig: getProviderConfig(env, botConfig),
+        storageConfig,
+        retrievalConfig: getRetrievalConfig(botConfig),
+        chatConfig: getChatConfig(botConfig),
+        answerCacheConfig: getAnswerCacheConfig(botConfig),
+        rateLimitConfig: getRateLimitConfig(botConfig),
+        clientRateLimit: botConfig.rateLimits.clientRequestsPerMinute,
+        sharedSecret: env.API_SHARED_SECRET || undefined,
+        sessionSecret: env.SESSION_SECRET || undefined,
+        trustedProxies: parseInt(env.TRUST_PROXY ?? '0', 10) || 0,
+        adminToken: env.ADMIN_TOKEN || undefined
+    }).listen(parseInt(env.PORT ?? '3001', 10))
+}
@@ -0,0 +1,74 @@
+/**
+ * Load environment variables for the Node entry points (server and CLI)
+ * Reads the same .env files as Vite when it is installed, with real
+ * environment variables taking precedence. None of these are exposed to
+ * the browser because they don't use the VITE_ prefix.
+ * @param {string} rootDir - Directory holding the .env files
+ * @returns {Promise<Object>} The merged environment
+ */
+export async function loadServerEnv(rootDir) {
+    let fileEnv = {}
+    try {
+        const { loadEnv } = await import('vite')
+        fileEnv = loadEnv(process.env.NODE_ENV ?? 'development', rootDir, '')
+    } catch {
+        // Vite is a dev dependency; in production rely on the real environment
+    }
+    return { ...fileEnv, ...process.env }
+}
+
+/**
+ * Throw a readable error when required variables are missing
+ * @param {Object} env - The loaded environment
+ * @param {Array<string>} names - Variables that must be set
+ */
+export function requireEnv(env, names) {
+    const missing = names.filter(name => !env[name])
+    if (missing.length > 0) {
+        throw new Error(`Missing environment variables: ${missing.join(', ')}`)
+    }
+}
+
+/**
+ * Build the OpenAIService config for the provider selected by LLM_PROVIDER
+ * @param {Object} env - The loaded environment
+ * @param {Object} botConfig - Settings from loadBotConfig, for the models, chunking and timeouts
+ * @returns {Object} Provider config for OpenAIService
+ */
+export function getProviderConfig(env, { model, chunking, timeouts }) {
+    const provider = env.LLM_PROVIDER || 'openai'
+    if (provider === 'openai') {
+        requireEnv(env, ['OPENAI_API_KEY'])
+    }
+
+    return {
+        provider,
+        openAIApiKey: env.OPENAI_API_KEY,
+        baseUrl: env.LLM_BASE_URL || undefined,
+        chatModel: model.chatModel ?? undefined,
+        embeddingModel: model.embeddingModel ?? undefined,
+        temperature: model.temperature,
+        maxTokens: model.maxTokens,
+        timeoutMs: timeouts.providerMs ?? undefined,
+        chunkSize: chunking.chunkSize,
+        chunkOverlap: chunking.chunkOverlap
+    }
+}
+
+/**
+ * Build the storage config for the backend selected by VECTOR_STORE
+ * @param {Object} env - The loaded environment
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.preferServiceRole] - Use SUPABASE_SERVICE_ROLE_KEY when it is set
+ * @returns {Object} Storage config for createStorage
+ */
+export function getStorageConfig(env, { preferServiceRole = false } = {}) {
+    const backend = env.VECTOR_STORE || 'supabase'
+    if (backend === 'local') {
+        return { backend, filePath: env.LOCAL_STORE_PATH || '.data/local-store.json' }
+    }
+
+    const supabaseKey = (preferServiceRole && env.SUPABASE_SERVICE_ROLE_KEY) || env.SUPABASE_API_KEY
+    requireEnv({ ...env, SUPABASE_API_KEY: supabaseKey }, ['SUPABASE_URL', 'SUPABASE_API_KEY'])
+    return { backend, supabaseUrl: env.SUPABASE_URL, supabaseKey }
+}
@@ -0,0 +1,44 @@
+import { SupabaseVectorStore } from 'langchain/vectorstores/supabase'
+import { SupabaseService } from './supabaseService.js'
+import { LocalDatabase, LocalStorageService, LocalVectorStore } from './localStore.js'
+
+/**
+ * Create the storage service and vector store for the configured backend
+ * Both backends expose the same storage interface, so ingestion and the
+ * API server work unchanged on either
+ * @param {Object} config - Storage configuration
+ * @param {string} [config.backend] - 'supabase' (default) or 'local'
+ * @param {string} [config.supabaseUrl] - Supabase project URL, for the supabase backend
+ * @param {string} [config.supabaseKey] - Supabase API key, for the supabase backend
+ * @param {string} [config.filePath] - JSON file the local backend persists to; in-memory when omitted
+ * @param {Embeddings} embeddings - Embeddings for the vector store
+ * @returns {{storageService: Object, vectorStore: VectorStore}} The storage service and vector store
+ */
+export function createStorage(config, embeddings) {
+    const backend = config.backend ?? 'supabase'
+
+    if (backend === 'local') {
+        const database = new LocalDatabase({ filePath: config.filePath })
+        return {
+            storageService: new LocalStorageService({ database }),
+            vectorStore: new LocalVectorStore(embeddings, { database })
+        }
+    }
+
+    if (backend === 'supabase') {
+        const storageService = new SupabaseService({
+            supabaseUrl: config.supabaseUrl,
+            supabaseKey: config.supabaseKey
+        })
+        return {
+            storageService,
+            vectorStore: new SupabaseVectorStore(embeddings, {
+                client: storageService.client,
+                tableName: 'documents',
+                queryName: 'match_documents'
+            })
+        }
+    }
+
+    throw new Error(`Unknown vector store backend "${backend}". Expected "supabase" or "local"`)
+}
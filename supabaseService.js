@@ -5,11 +5,22 @@ export class SupabaseService {
         this.client = createClient(config.supabaseUrl, config.supabaseKey)
     }
 
-    async checkExistingDocuments() {
+    /**
+     * Scope a documents query to a single source when one is given
+     * @param {Object} query - Supabase query builder
+     * @param {string} [source] - Name of the source
+     * @returns {Object} The scoped query builder
+     */
+    forSource(query, source) {
+        return source ? query.eq('metadata->>source', source) : query
+    }
+
+    async checkExistingDocuments(source) {
         try {
-            const { data, error } = await this.client
-                .from('documents')
-                .select('metadata')
+            const { data, error } = await this.forSource(
+                this.client.from('documents').select('metadata'),
+                source
+            )
                 .order('metadata->chunkIndex', { ascending: false })
                 .limit(1)
 
@@ -25,38 +36,317 @@ export class SupabaseService {
         }
     }
 
-    async checkExistingChunk(index) {
-        const { data: existingChunk } = await this.client
+    /**
+     * Fetch every stored chunk of a source, without embeddings
+     * @param {string} source - Name of the source
+     * @param {number} [pageSize] - Rows fetched per request
+     * @returns {Promise<Array<Object>>} Rows with id, content and metadata
+     */
+    async getSourceChunks(source, pageSize = 1000) {
+        const rows = []
+        for (let from = 0; ; from += pageSize) {
+            const { data, error } = await this.forSource(
+                this.client.from('documents').select('id, content, metadata'),
+                source
+            )
+                .order('id')
+                .range(from, from + pageSize - 1)
+
+            if (error) throw error
+
+            rows.push(...data)
+            if (data.length < pageSize) return rows
+        }
+    }
+
+    /**
+     * Fetch the stored chunks of a source that have one of the given content hashes
+     * @param {string} source - Name of the source
+     * @param {Array<string>} contentHashes - Hashes to look for
+     * @returns {Promise<Array<Object>>} Rows with id and metadata
+     */
+    async findChunksByHash(source, contentHashes) {
+        const { data, error } = await this.forSource(
+            this.client.from('documents').select('id, metadata'),
+            source
+        )
+            .in('metadata->>contentHash', contentHashes)
+
+        if (error) throw error
+        return data
+    }
+
+    /**
+     * Fetch one stored chunk, without its embedding
+     * @param {number} id - The row id
+     * @returns {Promise<Object|null>} Row with id, content and metadata
+     */
+    async getChunk(id) {
+        const { data, error } = await this.client
             .from('documents')
-            .select('id')
-            .eq('metadata->chunkIndex', index)
+            .select('id, content, metadata')
+            .eq('id', id)
             .maybeSingle()
-        
-        return existingChunk
+
+        if (error) throw error
+        return data
     }
 
-    async insertChunk(processedChunk, index) {
-        return await this.client
+    /**
+     * Replace a chunk's embedding
+     * @param {number} id - The row id
+     * @param {Array<number>} embedding - The new embedding
+     * @param {Object} metadata - The row's metadata, e.g. with a fresh timestamp
+     */
+    async updateChunkEmbedding(id, embedding, metadata) {
+        const { error } = await this.client
             .from('documents')
-            .insert([{
-                content: processedChunk.content,
-                metadata: {
-                    source: 'scrimba-info.txt',
-                    chunkIndex: index,
-                    length: processedChunk.content.length,
-                    timestamp: new Date().toISOString()
-                },
-                embedding: processedChunk.embedding
-            }])
-    }
-
-    async getDocumentCount() {
-        const { count } = await this.client
+            .update({ embedding, metadata })
+            .eq('id', id)
+
+        if (error) throw error
+    }
+
+    /**
+     * Insert document rows in bulk
+     * @param {Array<Object>} rows - Rows with content, metadata and embedding
+     * @param {number} [batchSize] - Rows written per request
+     */
+    async insertChunks(rows, batchSize = 500) {
+        for (let i = 0; i < rows.length; i += batchSize) {
+            const { error } = await this.client
+                .from('documents')
+                .insert(rows.slice(i, i + batchSize))
+
+            if (error) throw error
+        }
+    }
+
+    /**
+     * Replace the metadata of existing chunks in bulk, keeping their embeddings
+     * @param {Array<Object>} updates - Objects with the row id and its new metadata
+     * @param {number} [batchSize] - Rows written per request
+     */
+    async upsertChunkMetadata(updates, batchSize = 500) {
+        for (let i = 0; i < updates.length; i += batchSize) {
+            const { error } = await this.client
+                .from('documents')
+                .upsert(updates.slice(i, i + batchSize).map(({ id, metadata }) => ({ id, metadata })))
+
+            if (error) throw error
+        }
+    }
+
+    async deleteChunks(ids, batchSize = 200) {
+        for (let i = 0; i < ids.length; i += batchSize) {
+            const { error } = await this.client
+                .from('documents')
+                .delete()
+                .in('id', ids.slice(i, i + batchSize))
+
+            if (error) throw error
+        }
+    }
+
+    async deleteSource(source) {
+        const { error } = await this.client
             .from('documents')
-            .select('*', { count: 'exact', head: true })
+            .delete()
+            .eq('metadata->>source', source)
+
+        if (error) throw error
+    }
+
+    async getDocumentCount(source) {
+        const { count } = await this.forSource(
+            this.client.from('documents').select('*', { count: 'exact', head: true }),
+            source
+        )
         
         return count
     }
 
+    /**
+     * Full-text search over chunks with the keyword_match_documents RPC
+     * @param {string} queryText - The search text
+     * @param {Array<number>|null} queryEmbedding - Embedding of the search text for similarity scores, or null to leave them out
+     * @param {number} matchCount - Maximum number of results
+     * @param {Object} [filter] - Metadata the chunks must contain
+     * @returns {Promise<Array<Object>>} Rows with id, content, metadata, similarity and rank
+     */
+    async keywordSearch(queryText, queryEmbedding, matchCount, filter = {}) {
+        const { data, error } = await this.client.rpc('keyword_match_documents', {
+            query_text: queryText,
+            query_embedding: queryEmbedding,
+            match_count: matchCount,
+            filter
+        })
+
+        if (error) throw error
+        return data
+    }
+
+    async listConversations(clientId, knowledgeBase) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('id, title, updated_at')
+            .eq('client_id', clientId)
+            .eq('knowledge_base', knowledgeBase)
+            .order('updated_at', { ascending: false })
+
+        if (error) throw error
+        return data
+    }
+
+    async getConversation(conversationId) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('id, client_id, knowledge_base, title, updated_at')
+            .eq('id', conversationId)
+            .maybeSingle()
+
+        if (error) throw error
+        return data
+    }
+
+    async createConversation(clientId, title, knowledgeBase) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .insert([{ client_id: clientId, knowledge_base: knowledgeBase, title }])
+            .select('id, title, updated_at')
+            .single()
+
+        if (error) throw error
+        return data
+    }
+
+    async deleteConversation(conversationId) {
+        const { error } = await this.client
+            .from('conversations')
+            .delete()
+            .eq('id', conversationId)
+
+        if (error) throw error
+    }
+
+    async getConversationMessages(conversationId) {
+        const { data, error } = await this.client
+            .from('conversation_messages')
+            .select('id, role, content, sources, standalone_question')
+            .eq('conversation_id', conversationId)
+            .order('id')
+
+        if (error) throw error
+        return data
+    }
+
+    /**
+     * Append messages to a conversation and bump its updated_at
+     * @param {string} conversationId - The conversation to append to
+     * @param {Array<Object>} messages - Messages with role, content and optional sources and standaloneQuestion
+     * @returns {Promise<Array<Object>>} The inserted rows' ids, in order
+     */
+    async insertConversationMessages(conversationId, messages) {
+        const { data, error } = await this.client
+            .from('conversation_messages')
+            .insert(messages.map(({ role, content, sources = [], standaloneQuestion = null }) => ({
+                conversation_id: conversationId,
+                role,
+                content,
+                sources,
+                standalone_question: standaloneQuestion
+            })))
+            .select('id')
+
+        if (error) throw error
+
+        const { error: updateError } = await this.client
+            .from('conversations')
+            .update({ updated_at: new Date().toISOString() })
+            .eq('id', conversationId)
+
+        if (updateError) throw updateError
+        return data
+    }
+
+    /**
+     * Delete messages from a conversation, e.g. an exchange being edited or regenerated
+     * Feedback on a deleted answer is kept, detached from the message
+     * @param {string} conversationId - The conversation the messages belong to
+     * @param {Array<number>} messageIds - Ids of the messages to delete
+     */
+    async deleteConversationMessages(conversationId, messageIds) {
+        const { error } = await this.client
+            .from('conversation_messages')
+            .delete()
+            .eq('conversation_id', conversationId)
+            .in('id', messageIds)
+
+        if (error) throw error
+    }
+
+    /**
+     * Save a support ticket
+     * @param {Object} ticket - client_id, conversation_id, email, note, reason, transcript and chunks
+     * @returns {Promise<Object>} The ticket's id, status and created_at
+     */
+    async createSupportTicket(ticket) {
+        const { data, error } = await this.client
+            .from('support_tickets')
+            .insert([ticket])
+            .select('id, conversation_id, status, created_at')
+            .single()
+
+        if (error) throw error
+        return data
+    }
+
+    async getSupportTicket(ticketId) {
+        const { data, error } = await this.client
+            .from('support_tickets')
+            .select('id, client_id, conversation_id, status, created_at, updated_at')
+            .eq('id', ticketId)
+            .maybeSingle()
+
+        if (error) throw error
+        return data
+    }
+
+    async listSupportTickets(clientId) {
+        const { data, error } = await this.client
+            .from('support_tickets')
+            .select('id, conversation_id, status, created_at, updated_at')
+            .eq('client_id', clientId)
+            .order('created_at', { ascending: false })
+
+        if (error) throw error
+        return data
+    }
+
+    /**
+     * Save a rating for an answer, replacing any earlier rating of the same answer
+     * @param {Object} feedback - message_id, client_id, rating, comment, question, standalone_question, chunks and answer
+     */
+    async saveAnswerFeedback(feedback) {
+        const { error } = await this.client
+            .from('answer_feedback')
+            .upsert([{ ...feedback, updated_at: new Date().toISOString() }], { onConflict: 'message_id' })
+
+        if (error) throw error
+    }
+
+    /**
+     * Negative feedback grouped by source chunk, worst first
+     * @returns {Promise<Array<Object>>} Rows of the negative_feedback_by_chunk view
+     */
+    async getNegativeFeedbackByChunk() {
+        const { data, error } = await this.client
+            .from('negative_feedback_by_chunk')
+            .select('*')
+
+        if (error) throw error
+        return data
+    }
+
     // Add other Supabase-related methods here
 }
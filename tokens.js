@@ -0,0 +1,41 @@
+/**
+ * Rough token estimate for OpenAI models
+ * English text averages about four characters per token, which is close
+ * enough for budgeting requests without loading a tokenizer in the browser
+ * @param {string} text - The text to measure
+ * @returns {number} Estimated number of tokens
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text?.length ?? 0) / 4)
+}
+
+/**
+ * Cut text down to roughly the given number of tokens
+ * @param {string} text - The text to trim
+ * @param {number} maxTokens - Maximum estimated tokens to keep
+ * @returns {string} The text, with "..." appended if it was trimmed
+ */
+export function truncateToTokens(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) return text
+    return text.slice(0, Math.max(0, maxTokens) * 4) + "..."
+}
+
+// Common words that carry no meaning for keyword matching
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'you', 'your', 'can', 'our', 'with', 'that', 'this', 'have',
+    'has', 'there', 'what', 'how', 'does', 'any', 'all', 'will', 'from', 'not', 'but', 'they',
+    'when', 'which', 'who', 'also', 'its', 'into', 'about', 'just', 'more', 'than', 'then',
+    'some', 'get', 'out', 'use', 'was', 'were', 'been', 'is', 'it', 'of', 'to', 'in', 'on',
+    'or', 'an', 'as', 'at', 'be', 'by', 'do', 'if', 'me', 'my', 'we', 'so', 'up', 'us', 'a', 'i'
+])
+
+/**
+ * Split text into lowercase words for keyword matching, dropping stop words
+ * Keeps '#' and '-' so terms like "#code-help" survive intact
+ * @param {string} text - The text to split
+ * @returns {Array<string>} The words
+ */
+export function tokenizeWords(text) {
+    const words = text.toLowerCase().match(/[a-z0-9#-]+/g) ?? []
+    return words.filter(word => !STOP_WORDS.has(word))
+}
@@ -1,6 +1,39 @@
-import {defineConfig} from 'vite'
+import {defineConfig, loadEnv} from 'vite'
+import {dirname, resolve} from 'node:path'
+import {fileURLToPath} from 'node:url'
 
+const __dirname = dirname(fileURLToPath(import.meta.url))
 
-export default defineConfig({
-	plugins: []	
-})
\ No newline at end of file
+export default defineConfig(({mode}) => {
+	// The API server (npm run server) holds the API keys; the browser app only calls /api.
+	// API_SHARED_SECRET is for callers in front of the API, so the proxy adds it and the
+	// browser never sees it
+	const env = loadEnv(mode, __dirname, '')
+	const apiProxy = {
+		'/api': {
+			target: env.API_SERVER_URL || 'http://localhost:3001',
+			// Pass on the browser's address, so the server can tell callers apart (TRUST_PROXY=1)
+			xfwd: true,
+			headers: env.API_SHARED_SECRET ? {'X-API-Key': env.API_SHARED_SECRET} : {}
+		}
+	}
+
+	return {
+		plugins: [],
+		build: {
+			rollupOptions: {
+				// The admin console is a separate page next to the chat
+				input: {
+					main: resolve(__dirname, 'index.html'),
+					admin: resolve(__dirname, 'admin.html')
+				}
+			}
+		},
+		server: {
+			proxy: apiProxy
+		},
+		preview: {
+			proxy: apiProxy
+		}
+	}
+})